@@ -0,0 +1,20 @@
+/**
+ * Dataset worker: downloads (or reads) a dataset with progress, parses the JSON,
+ * maps the attributes and calculates the statistics off the main thread.
+ *
+ * Message in:  { source } (absolute dataset URL, or a File chosen on the page)
+ * Messages out: { type: 'progress', progress: { stage, loaded, total } }
+ *               { type: 'done', dataset: { nodes, edges, dataStats, report } }
+ *               { type: 'error', message }
+ */
+
+// Shares the mapping and statistics code with the page
+importScripts('visualization.js');
+
+self.onmessage = (event) => {
+    const onProgress = progress => self.postMessage({ type: 'progress', progress });
+    
+    fetchDataset(event.data.source, onProgress)
+        .then(dataset => self.postMessage({ type: 'done', dataset }))
+        .catch(error => self.postMessage({ type: 'error', message: error.message }));
+};
@@ -118,6 +118,210 @@ function mapChannelAttributes(channel) {
     return mapped;
 }
 
+/**
+ * Maps a node back from the original format to the shortened format (reverse of mapNodeAttributes)
+ * @param {Object} node - Node object with original attribute names
+ * @returns {Object} Node object with shortened attribute names
+ */
+function unmapNodeAttributes(node) {
+    const unmapped = { id: node.id };
+    
+    if (node.x !== undefined) unmapped.x = node.x;
+    if (node.y !== undefined) unmapped.y = node.y;
+    
+    for (const [shortName, longName] of Object.entries(ATTRIBUTE_MAPPING.node)) {
+        if (node[longName] !== undefined) {
+            unmapped[shortName] = node[longName];
+        }
+    }
+    
+    return unmapped;
+}
+
+/**
+ * Maps an edge back from the original format to the shortened format (reverse of mapEdgeAttributes)
+ * The derived 'capacity' field is dropped, mapEdgeAttributes recreates it from 'cap'
+ * @param {Object} edge - Edge object with original attribute names
+ * @returns {Object} Edge object with shortened attribute names
+ */
+function unmapEdgeAttributes(edge) {
+    const unmapped = {
+        id: edge.id,
+        source: edge.source,
+        target: edge.target
+    };
+    
+    if (edge.type !== undefined) unmapped.type = edge.type;
+    
+    for (const [shortName, longName] of Object.entries(ATTRIBUTE_MAPPING.edge)) {
+        if (edge[longName] !== undefined) {
+            if (shortName === 'chs' && Array.isArray(edge[longName])) {
+                unmapped[shortName] = edge[longName].map(unmapChannelAttributes);
+            } else {
+                unmapped[shortName] = edge[longName];
+            }
+        }
+    }
+    
+    return unmapped;
+}
+
+/**
+ * Maps a channel object back from the original format to the shortened format
+ * @param {Object} channel - Channel object with original attribute names
+ * @returns {Object} Channel object with shortened attribute names
+ */
+function unmapChannelAttributes(channel) {
+    const unmapped = {};
+    
+    for (const [shortName, longName] of Object.entries(ATTRIBUTE_MAPPING.channel)) {
+        if (channel[longName] !== undefined) {
+            unmapped[shortName] = channel[longName];
+        }
+    }
+    
+    return unmapped;
+}
+
+// =============================================================================
+// COLUMNAR LAYOUT - One array per attribute instead of one object per record
+// =============================================================================
+
+/**
+ * Columnar datasets avoid repeating the attribute keys on every record:
+ * {
+ *   format: 'columnar', version: 1,
+ *   nodes:    { id: [...], x: [...], y: [...], alias: [...], c: [...], ... },
+ *   edges:    { source: [nodeIndex, ...], target: [nodeIndex, ...], cap: [...], ... },
+ *   channels: { edge: [edgeIndex, ...], t: [...], cap: [...], btx: [...] }
+ * }
+ * Columns use the shortened names of ATTRIBUTE_MAPPING; edges refer to nodes by their
+ * index in nodes.id and channels to edges by index. Edge ids default to `${source}-${target}`.
+ */
+const COLUMNAR_FORMAT = 'columnar';
+
+/**
+ * Builds node and edge records with original attribute names from a columnar dataset
+ * Each column is translated once, so no per-record mapNodeAttributes/mapEdgeAttributes calls are needed
+ * @param {Object} data - Parsed columnar dataset
+ * @returns {Object} { nodes, edges } in the same shape as the mapped row layout
+ */
+function decodeColumnarDataset(data) {
+    const nodeColumns = data.nodes || {};
+    const edgeColumns = data.edges || {};
+    const nodeIds = (nodeColumns.id || []).map(String);
+    
+    const nodes = nodeIds.map(id => ({ id }));
+    ['x', 'y'].forEach(axis => {
+        (nodeColumns[axis] || []).forEach((value, index) => {
+            if (value !== null && index < nodes.length) nodes[index][axis] = value;
+        });
+    });
+    for (const [shortName, longName] of Object.entries(ATTRIBUTE_MAPPING.node)) {
+        const column = nodeColumns[shortName];
+        if (!column) continue;
+        nodes.forEach((node, index) => {
+            if (column[index] !== undefined) node[longName] = column[index];
+        });
+    }
+    
+    const sources = edgeColumns.source || [];
+    const targets = edgeColumns.target || [];
+    const edges = sources.map((sourceIndex, index) => {
+        const source = nodeIds[sourceIndex];
+        const target = nodeIds[targets[index]];
+        return {
+            id: edgeColumns.id ? String(edgeColumns.id[index]) : `${source}-${target}`,
+            source: source,
+            target: target
+        };
+    });
+    if (edgeColumns.type) {
+        edges.forEach((edge, index) => {
+            if (edgeColumns.type[index] !== null) edge.type = edgeColumns.type[index];
+        });
+    }
+    for (const [shortName, longName] of Object.entries(ATTRIBUTE_MAPPING.edge)) {
+        const column = edgeColumns[shortName];
+        if (!column || shortName === 'chs') continue;
+        edges.forEach((edge, index) => {
+            if (column[index] !== undefined) edge[longName] = column[index];
+        });
+    }
+    // Same derived field as mapEdgeAttributes
+    edges.forEach(edge => {
+        if (edge.total_capacity !== undefined) edge.capacity = edge.total_capacity;
+    });
+    
+    const channelColumns = data.channels;
+    if (channelColumns && channelColumns.edge) {
+        edges.forEach(edge => { edge.channels = []; });
+        const mapped = Object.entries(ATTRIBUTE_MAPPING.channel).filter(([shortName]) => channelColumns[shortName]);
+        channelColumns.edge.forEach((edgeIndex, index) => {
+            const channel = {};
+            mapped.forEach(([shortName, longName]) => {
+                if (channelColumns[shortName][index] !== undefined) channel[longName] = channelColumns[shortName][index];
+            });
+            if (edges[edgeIndex]) edges[edgeIndex].channels.push(channel);
+        });
+    }
+    
+    return { nodes, edges };
+}
+
+/**
+ * Writes node and edge records with original attribute names in the columnar layout
+ * (reverse of decodeColumnarDataset); columns without any value are left out
+ * @param {Array} nodes - Node records
+ * @param {Array} edges - Edge records; endpoints must be among the nodes
+ * @returns {Object} Columnar dataset, ready for JSON.stringify
+ */
+function encodeColumnarDataset(nodes, edges) {
+    const column = (records, read) => {
+        const values = records.map(read);
+        return values.some(value => value !== undefined)
+            ? values.map(value => value === undefined ? null : value)
+            : null;
+    };
+    const addColumns = (target, records, names) => {
+        names.forEach(([shortName, longName]) => {
+            const values = column(records, record => record[longName]);
+            if (values) target[shortName] = values;
+        });
+    };
+    
+    const nodeIndex = new Map(nodes.map((node, index) => [node.id, index]));
+    const nodeColumns = { id: nodes.map(node => node.id) };
+    addColumns(nodeColumns, nodes, [['x', 'x'], ['y', 'y'], ...Object.entries(ATTRIBUTE_MAPPING.node)]);
+    
+    const edgeColumns = {
+        id: edges.map(edge => edge.id),
+        source: edges.map(edge => nodeIndex.get(edge.source)),
+        target: edges.map(edge => nodeIndex.get(edge.target))
+    };
+    addColumns(edgeColumns, edges, [['type', 'type'],
+        ...Object.entries(ATTRIBUTE_MAPPING.edge).filter(([shortName]) => shortName !== 'chs')]);
+    
+    const channelRecords = [];
+    const channelEdges = [];
+    edges.forEach((edge, index) => {
+        (edge.channels || []).forEach(channel => {
+            channelRecords.push(channel);
+            channelEdges.push(index);
+        });
+    });
+    const channelColumns = { edge: channelEdges };
+    addColumns(channelColumns, channelRecords, Object.entries(ATTRIBUTE_MAPPING.channel));
+    
+    return {
+        format: COLUMNAR_FORMAT,
+        version: 1,
+        nodes: nodeColumns,
+        edges: edgeColumns,
+        channels: channelColumns
+    };
+}
+
 // =============================================================================
 // CONFIGURATION CONSTANTS
 // =============================================================================
@@ -127,7 +331,8 @@ const TIMING = {
     ZOOM_ANIMATION: 200,        // Duration for zoom in/out animations (ms)
     LAYOUT_AUTO_STOP: 5000,     // Auto-stop layout after 5 seconds
     TOOLTIP_OFFSET: 5,          // Pixel offset from cursor for tooltips
-    SEARCH_MIN_LENGTH: 2        // Minimum characters to trigger search
+    SEARCH_MIN_LENGTH: 2,       // Minimum characters to trigger search
+    TIMELINE_FRAME: 100         // Delay between timeline replay steps (ms)
 };
 
 // Bitcoin capacity conversion thresholds (satoshis to BTC/mBTC/μBTC)
@@ -187,6 +392,12 @@ let selectedNode = null;
 let currentRenderer = null;
 let currentLayoutManager = null;
 let currentGraph = null; // Track current graph for summary updates
+let currentVisibility = null; // Visibility manager combining filters, search and selection
+let currentEgoExplorer = null; // K-hop neighborhood explorer for the selected node
+let currentWhatIf = null; // Node/channel removal simulator
+let currentClusterCollapse = null; // Collapsed-cluster meta-graph view
+let currentNodeComparison = null; // Pinned nodes compared side by side
+let currentViewState = null; // Deep-link sync between the view and the URL
 
 // Store event listeners for proper cleanup
 let controlButtonListeners = {
@@ -199,6 +410,12 @@ let controlButtonListeners = {
 // Store the current search handler to remove it when needed
 let currentSearchHandler = null;
 
+// Aborted on cleanup to drop the sidebar panel listeners bound to the current dataset
+let visualizationListeners = null;
+
+// One-shot callback receiving the next clicked node (used by "pick on graph" buttons)
+let nodePickHandler = null;
+
 // Track if a dataset is currently being loaded to prevent concurrent loads
 let isLoadingDataset = false;
 
@@ -206,12 +423,19 @@ let isLoadingDataset = false;
 let filterState = {
     plebRankMax: null,  // null = show all
     bridgeFilter: 'all', // 'all', 'important', 'any'
-    channelBridgeFilter: 'all', // 'all', 'bridge_only'
+    channelBridgeFilter: 'all', // 'all', 'important_only', 'bridge_only'
+    interClusterOnly: false,  // Only channels connecting two different clusters
+    multiChannelOnly: false,  // Only connections made of more than one channel
+    channelCapacityMin: null, // Minimum total_capacity in sats (null = no bound)
+    channelCapacityMax: null, // Maximum total_capacity in sats (null = no bound)
+    hideIsolatedNodes: false, // Hide nodes left without any visible channel
+    expression: null,         // Compiled filter expression (see compileFilterExpression)
     isActive: false  // Track if any filters are active
 };
 
-// Store total node count for filter results display
-let totalNodeCount = 0;
+// Field names offered by the expression filter autocomplete for the loaded dataset
+let expressionFieldNames = [];
+let expressionAutocomplete = null;
 
 // =============================================================================
 // NETWORK SUMMARY FUNCTION
@@ -230,16 +454,19 @@ function updateNetworkSummary() {
     let visibleNodes = 0;
     let visibleEdges = 0;
     
-    // Count visible nodes
-    currentGraph.forEachNode(nodeId => {
+    // Count visible nodes (nodes dimmed by the selection focus are not counted)
+    currentGraph.forEachNode((nodeId, attributes) => {
+        if (!isNetworkItem(attributes)) return;
         const isHidden = currentGraph.getNodeAttribute(nodeId, 'hidden');
-        if (!isHidden) {
+        const isDimmed = currentVisibility && currentVisibility.isDimmed(nodeId);
+        if (!isHidden && !isDimmed) {
             visibleNodes++;
         }
     });
     
     // Count visible edges
-    currentGraph.forEachEdge(edgeId => {
+    currentGraph.forEachEdge((edgeId, attributes) => {
+        if (!isNetworkItem(attributes)) return;
         const isHidden = currentGraph.getEdgeAttribute(edgeId, 'hidden');
         if (!isHidden) {
             visibleEdges++;
@@ -261,8 +488,10 @@ function updateNetworkSummary() {
     console.log(`📊 Network Summary: ${visibleNodes} nodes, ${visibleEdges} channels visible`);
 }
 
-// Make updateNetworkSummary available globally
-window.updateNetworkSummary = updateNetworkSummary;
+// Make updateNetworkSummary available globally (not in the dataset worker, which has no window)
+if (typeof window !== 'undefined') {
+    window.updateNetworkSummary = updateNetworkSummary;
+}
 
 // =============================================================================
 // CLEANUP FUNCTION
@@ -277,15 +506,19 @@ async function destroyVisualization() {
     
     // Stop any running layout
     if (currentLayoutManager && currentLayoutManager.isRunning) {
-        const toggleBtn = document.getElementById('toggle-layout');
-        if (toggleBtn) {
-            currentLayoutManager.stop(toggleBtn);
-        }
+        currentLayoutManager.stop();
     }
     
     // Clear layout manager reference
     currentLayoutManager = null;
     
+    // Remove panel listeners bound to this dataset
+    if (visualizationListeners) {
+        visualizationListeners.abort();
+        visualizationListeners = null;
+    }
+    nodePickHandler = null;
+    
     // Destroy the Sigma renderer
     if (currentRenderer) {
         try {
@@ -308,12 +541,24 @@ async function destroyVisualization() {
     // Reset global state
     selectedNode = null;
     currentGraph = null; // Clear graph reference
+    currentVisibility = null;
+    currentEgoExplorer = null;
+    currentWhatIf = null;
+    currentClusterCollapse = null;
+    currentNodeComparison = null;
+    currentViewState = null;
     
     // Reset summary display
     const nodesCountEl = document.getElementById('summary-nodes-count');
     const channelsCountEl = document.getElementById('summary-channels-count');
     if (nodesCountEl) nodesCountEl.textContent = '0';
-    if (channelsCountEl) nodesCountEl.textContent = '0';
+    if (channelsCountEl) channelsCountEl.textContent = '0';
+    
+    // The load report belongs to the previous dataset
+    const loadReportToggle = document.getElementById('load-report-toggle');
+    const loadReport = document.getElementById('load-report');
+    if (loadReportToggle) loadReportToggle.style.display = 'none';
+    if (loadReport) loadReport.style.display = 'none';
     
     // Clear search input
     const searchInput = document.getElementById('search-input');
@@ -346,6 +591,34 @@ async function destroyVisualization() {
 // DATA PROCESSING UTILITIES
 // =============================================================================
 
+/**
+ * Calculates min, quartiles, max and average of a sorted array
+ * @param {Array} sortedArray - Pre-sorted array of numbers
+ * @returns {Object} Statistics object with min, max, percentiles, and average
+ */
+function calculatePercentiles(sortedArray) {
+    const len = sortedArray.length;
+    if (len === 0) return { min: 0, q25: 0, median: 0, q75: 0, max: 0, avg: 0 };
+    
+    const min = sortedArray[0];
+    const max = sortedArray[len - 1];
+    
+    // Calculate percentile indices
+    const q25Index = Math.max(0, Math.floor((len - 1) * 0.25));
+    const medianIndex = Math.max(0, Math.floor((len - 1) * 0.50));
+    const q75Index = Math.max(0, Math.floor((len - 1) * 0.75));
+    
+    const q25 = sortedArray[q25Index];
+    const median = sortedArray[medianIndex];
+    const q75 = sortedArray[q75Index];
+    
+    // Calculate average
+    const sum = sortedArray.reduce((total, val) => total + val, 0);
+    const avg = sum / len;
+    
+    return { min, q25, median, q75, max, avg };
+}
+
 /**
  * Calculates comprehensive statistics including percentiles for capacity and channels
  * Works with the new enhanced data format (snake_case fields)
@@ -354,34 +627,6 @@ async function destroyVisualization() {
  * @returns {Object} Enhanced statistics object with min/max values, percentiles, and total capacity
  */
 function calculateDataStats(nodes, edges) {
-    /**
-     * Helper function to calculate percentiles from a sorted array
-     * @param {Array} sortedArray - Pre-sorted array of numbers
-     * @returns {Object} Statistics object with min, max, percentiles, and average
-     */
-    function calculatePercentiles(sortedArray) {
-        const len = sortedArray.length;
-        if (len === 0) return { min: 0, q25: 0, median: 0, q75: 0, max: 0, avg: 0 };
-        
-        const min = sortedArray[0];
-        const max = sortedArray[len - 1];
-        
-        // Calculate percentile indices
-        const q25Index = Math.max(0, Math.floor((len - 1) * 0.25));
-        const medianIndex = Math.max(0, Math.floor((len - 1) * 0.50));
-        const q75Index = Math.max(0, Math.floor((len - 1) * 0.75));
-        
-        const q25 = sortedArray[q25Index];
-        const median = sortedArray[medianIndex];
-        const q75 = sortedArray[q75Index];
-        
-        // Calculate average
-        const sum = sortedArray.reduce((total, val) => total + val, 0);
-        const avg = sum / len;
-        
-        return { min, q25, median, q75, max, avg };
-    }
-    
     // 1. Channel size distribution (from edges)
     const channelSizes = edges
         .map(edge => edge.capacity || 0)
@@ -484,6 +729,10 @@ function createSizeCalculators(dataStats) {
     const EDGE_WIDTH_RANGE = { min: 0.1, max: 2 };    // Edges: 0.5-2px (thin for visual clarity)
     
     return {
+        // Rendered ranges and the data values mapped onto their ends (used by the legend)
+        nodeSizeRange: { ...NODE_SIZE_RANGE, minValue: nodeStats.min, maxValue: nodeStats.max },
+        edgeWidthRange: { ...EDGE_WIDTH_RANGE, minValue: edgeStats.min, maxValue: edgeStats.max },
+        
         nodeSize: (totalChannels) => {
             // Use channel count for sizing - more intuitive for Lightning Network
             if (!totalChannels || !nodeStats.max) return NODE_SIZE_RANGE.min;
@@ -540,49 +789,6103 @@ function formatCapacity(capacity) {
         if (capacity >= 1000) {
             return `${(capacity / 1000).toFixed(0)}K sats`;
         } else {
-            return `${capacity} sats`;
+            // Number() keeps a non-numeric capacity from an unchecked dataset out of the markup
+            return `${Number(capacity)} sats`;
+        }
+    }
+}
+
+// =============================================================================
+// EDGE COLORING SYSTEM
+// =============================================================================
+
+/**
+ * Gets edge color based on enhanced data attributes
+ * Uses pre-calculated colors from data when available
+ * @param {Object} edge - Edge data object
+ * @returns {string} Color hex code
+ */
+function getEdgeColor(edge) {
+    // Highlight important bridge channels
+    if (edge.is_important_bridge_channel) {
+        return EDGE_HIGHLIGHT.IMPORTANT_BRIDGE;
+    }
+    
+    // Highlight regular bridge channels
+    if (edge.is_bridge_channel) {
+        return EDGE_HIGHLIGHT.REGULAR_BRIDGE;
+    }
+    
+    // Default color
+    return EDGE_HIGHLIGHT.DEFAULT;
+}
+
+/**
+ * Gets the color of a cluster
+ * Clusters beyond the fixed palette get generated colors spread by the golden angle
+ * @param {number|string} cluster - Cluster index
+ * @returns {string} Color hex code
+ */
+function getClusterColor(cluster) {
+    if (cluster === undefined || cluster === null) return CLUSTER_COLORS.DEFAULT;
+    if (CLUSTER_COLORS[cluster]) return CLUSTER_COLORS[cluster];
+    
+    const index = Number(cluster);
+    if (!Number.isInteger(index) || index < 0) return CLUSTER_COLORS.DEFAULT;
+    
+    const hue = (index * 137.508) % 360;
+    const saturation = 0.65;
+    const lightness = 0.6;
+    const chroma = (1 - Math.abs(2 * lightness - 1)) * saturation;
+    const toHex = n => {
+        const k = (n + hue / 30) % 12;
+        const value = lightness - chroma / 2 * Math.max(-1, Math.min(k - 3, 9 - k, 1));
+        return Math.round(value * 255).toString(16).padStart(2, '0');
+    };
+    return `#${toHex(0)}${toHex(8)}${toHex(4)}`.toUpperCase();
+}
+
+/**
+ * Gets node color based on cluster or pre-calculated color
+ * @param {Object} node - Node data object
+ * @returns {string} Color hex code
+ */
+function getNodeColor(node) {
+    // Use cluster-based coloring
+    return getClusterColor(node.cluster);
+}
+
+// =============================================================================
+// FILTER EXPRESSION LANGUAGE
+// =============================================================================
+
+/**
+ * Small attribute filter language evaluated against the long attribute names
+ * from ATTRIBUTE_MAPPING, e.g.
+ *   total_channels > 200 and node_type has "LSP" and cluster in (2, 3)
+ *   channel.capacity >= 1e8 and is_bridge_channel
+ *   category_counts.Freeway >= 5
+ *
+ * Operators: and, or, not, =, ==, !=, <, <=, >, >=, has, in (...), not in (...)
+ * Literals: numbers (1e8, 0.5), "strings" or 'strings', true, false, null
+ * Fields resolve to node attributes first, then channel attributes; use the
+ * node. / channel. prefixes to be explicit (e.g. channel.total_capacity).
+ */
+const EXPRESSION_KEYWORDS = ['and', 'or', 'not', 'in', 'has', 'true', 'false', 'null'];
+
+// Fields that may be followed by a sub-key (e.g. category_counts.Freeway)
+const EXPRESSION_OBJECT_FIELDS = ['category_counts'];
+
+/**
+ * Lists the field names that can be referenced in filter expressions
+ * @param {string} scope - 'node' or 'channel'
+ * @returns {Array} Long attribute names available in that scope
+ */
+function getExpressionFields(scope) {
+    if (scope === 'node') {
+        return ['id', ...Object.values(ATTRIBUTE_MAPPING.node)];
+    }
+    return ['id', 'source', 'target', 'capacity', ...Object.values(ATTRIBUTE_MAPPING.edge)];
+}
+
+/**
+ * Creates a syntax error carrying the character position it refers to
+ * @param {string} message - Human readable description of the problem
+ * @param {number} position - Zero-based offset into the expression
+ * @returns {Error} Error with name 'FilterSyntaxError' and a position property
+ */
+function createFilterSyntaxError(message, position) {
+    const error = new Error(`${message} (at position ${position + 1})`);
+    error.name = 'FilterSyntaxError';
+    error.position = position;
+    return error;
+}
+
+/**
+ * Splits an expression into tokens
+ * @param {string} source - Expression text
+ * @returns {Array} Tokens with type, value and position
+ */
+function tokenizeExpression(source) {
+    const tokens = [];
+    let i = 0;
+    
+    while (i < source.length) {
+        const char = source[i];
+        
+        if (/\s/.test(char)) {
+            i++;
+            continue;
+        }
+        
+        // Numbers, including scientific notation (1e8)
+        const numberMatch = /^(\d+\.?\d*|\.\d+)(e[+-]?\d+)?/i.exec(source.slice(i));
+        if (numberMatch) {
+            tokens.push({ type: 'number', value: parseFloat(numberMatch[0]), position: i });
+            i += numberMatch[0].length;
+            continue;
+        }
+        
+        // Quoted strings with backslash escapes
+        if (char === '"' || char === "'") {
+            let value = '';
+            let j = i + 1;
+            while (j < source.length && source[j] !== char) {
+                if (source[j] === '\\' && j + 1 < source.length) j++;
+                value += source[j];
+                j++;
+            }
+            if (j >= source.length) {
+                throw createFilterSyntaxError('Unterminated string', i);
+            }
+            tokens.push({ type: 'string', value: value, position: i });
+            i = j + 1;
+            continue;
+        }
+        
+        // Identifiers and dotted field paths (channel.capacity, category_counts.Freeway)
+        const identMatch = /^[A-Za-z_][\w]*(\.[A-Za-z_][\w]*)*/.exec(source.slice(i));
+        if (identMatch) {
+            const text = identMatch[0];
+            const lower = text.toLowerCase();
+            if (EXPRESSION_KEYWORDS.includes(lower)) {
+                tokens.push({ type: 'keyword', value: lower, position: i });
+            } else {
+                tokens.push({ type: 'field', value: text, position: i });
+            }
+            i += text.length;
+            continue;
+        }
+        
+        // Operators and punctuation
+        const operatorMatch = /^(==|!=|<=|>=|=|<|>|\(|\)|,)/.exec(source.slice(i));
+        if (operatorMatch) {
+            tokens.push({ type: 'operator', value: operatorMatch[0], position: i });
+            i += operatorMatch[0].length;
+            continue;
+        }
+        
+        throw createFilterSyntaxError(`Unexpected character "${char}"`, i);
+    }
+    
+    tokens.push({ type: 'end', value: null, position: source.length });
+    return tokens;
+}
+
+/**
+ * Resolves a field token to a node or channel attribute reference
+ * @param {Object} token - Field token
+ * @returns {Object} AST field node with scope, name and sub-key path
+ */
+function resolveExpressionField(token) {
+    let segments = token.value.split('.');
+    let scope = null;
+    
+    if (segments.length > 1 && ['channel', 'edge'].includes(segments[0].toLowerCase())) {
+        scope = 'channel';
+        segments = segments.slice(1);
+    } else if (segments.length > 1 && segments[0].toLowerCase() === 'node') {
+        scope = 'node';
+        segments = segments.slice(1);
+    }
+    
+    const name = segments[0];
+    const nodeFields = getExpressionFields('node');
+    const channelFields = getExpressionFields('channel');
+    
+    if (scope === null) {
+        if (nodeFields.includes(name)) {
+            scope = 'node';
+        } else if (channelFields.includes(name)) {
+            scope = 'channel';
+        }
+    }
+    
+    const knownFields = scope === 'channel' ? channelFields : nodeFields;
+    if (scope === null || !knownFields.includes(name)) {
+        const candidates = scope === 'channel' ? channelFields : nodeFields.concat(channelFields);
+        const suggestion = candidates.find(field => field.startsWith(name.slice(0, 3)));
+        const hint = suggestion ? `; did you mean "${suggestion}"?` : '';
+        throw createFilterSyntaxError(`Unknown field "${token.value}"${hint}`, token.position);
+    }
+    
+    const path = segments.slice(1);
+    if (path.length > 0 && !EXPRESSION_OBJECT_FIELDS.includes(name)) {
+        throw createFilterSyntaxError(`Field "${name}" has no sub-fields`, token.position);
+    }
+    if (path.length > 1) {
+        throw createFilterSyntaxError(`Too many sub-fields in "${token.value}"`, token.position);
+    }
+    
+    return { type: 'field', scope: scope, name: name, path: path, position: token.position };
+}
+
+/**
+ * Parses an expression into an AST using recursive descent
+ * @param {string} source - Expression text
+ * @returns {Object} Root AST node
+ */
+function parseFilterExpression(source) {
+    const tokens = tokenizeExpression(source);
+    let index = 0;
+    
+    const peek = () => tokens[index];
+    const next = () => tokens[index++];
+    const isKeyword = (word) => peek().type === 'keyword' && peek().value === word;
+    const isOperator = (op) => peek().type === 'operator' && peek().value === op;
+    
+    function describe(token) {
+        return token.type === 'end' ? 'end of expression' : `"${token.value}"`;
+    }
+    
+    function expect(op) {
+        if (!isOperator(op)) {
+            throw createFilterSyntaxError(`Expected "${op}" but found ${describe(peek())}`, peek().position);
+        }
+        return next();
+    }
+    
+    function parseOr() {
+        let left = parseAnd();
+        while (isKeyword('or')) {
+            const position = next().position;
+            left = { type: 'or', left: left, right: parseAnd(), position: position };
+        }
+        return left;
+    }
+    
+    function parseAnd() {
+        let left = parseNot();
+        while (isKeyword('and')) {
+            const position = next().position;
+            left = { type: 'and', left: left, right: parseNot(), position: position };
+        }
+        return left;
+    }
+    
+    function parseNot() {
+        if (isKeyword('not')) {
+            const position = next().position;
+            return { type: 'not', operand: parseNot(), position: position };
         }
+        return parseComparison();
+    }
+    
+    function parseComparison() {
+        const left = parseOperand();
+        const token = peek();
+        
+        if (token.type === 'operator' && ['=', '==', '!=', '<', '<=', '>', '>='].includes(token.value)) {
+            next();
+            const op = token.value === '==' ? '=' : token.value;
+            return { type: 'compare', op: op, left: left, right: parseOperand(), position: token.position };
+        }
+        
+        if (isKeyword('has')) {
+            next();
+            return { type: 'has', left: left, right: parseOperand(), position: token.position };
+        }
+        
+        // "in (...)" and "not in (...)"
+        let negated = false;
+        if (isKeyword('not') && tokens[index + 1].type === 'keyword' && tokens[index + 1].value === 'in') {
+            next();
+            negated = true;
+        }
+        if (isKeyword('in')) {
+            next();
+            expect('(');
+            const values = [parseOperand()];
+            while (isOperator(',')) {
+                next();
+                values.push(parseOperand());
+            }
+            expect(')');
+            const node = { type: 'in', left: left, values: values, position: token.position };
+            return negated ? { type: 'not', operand: node, position: token.position } : node;
+        }
+        
+        return left;
+    }
+    
+    function parseOperand() {
+        const token = next();
+        
+        if (token.type === 'number' || token.type === 'string') {
+            return { type: 'literal', value: token.value, position: token.position };
+        }
+        if (token.type === 'keyword' && ['true', 'false', 'null'].includes(token.value)) {
+            const values = { 'true': true, 'false': false, 'null': null };
+            return { type: 'literal', value: values[token.value], position: token.position };
+        }
+        if (token.type === 'field') {
+            return resolveExpressionField(token);
+        }
+        if (token.type === 'operator' && token.value === '(') {
+            const inner = parseOr();
+            expect(')');
+            return inner;
+        }
+        
+        throw createFilterSyntaxError(`Expected a field or value but found ${describe(token)}`, token.position);
+    }
+    
+    if (peek().type === 'end') {
+        throw createFilterSyntaxError('Expression is empty', 0);
+    }
+    
+    const ast = parseOr();
+    if (peek().type !== 'end') {
+        throw createFilterSyntaxError(`Unexpected ${describe(peek())}`, peek().position);
+    }
+    return ast;
+}
+
+/**
+ * Reads a field value from a mapped node or edge record
+ * Sub-keys match case-insensitively, with underscores standing in for spaces (category_counts.My_Way)
+ * @param {Object} record - Record with long attribute names
+ * @param {Object} field - AST field node
+ * @returns {*} Attribute value, or null if missing
+ */
+function readExpressionField(record, field) {
+    if (!record) return null;
+    let value = record[field.name];
+    
+    if (field.path.length > 0) {
+        if (typeof value === 'string') {
+            try { value = JSON.parse(value); } catch (e) { value = null; }
+        }
+        if (!value || typeof value !== 'object') return 0;
+        const wanted = field.path[0].toLowerCase().replace(/_/g, ' ');
+        const key = Object.keys(value).find(k => k.toLowerCase() === wanted || k.toLowerCase() === field.path[0].toLowerCase());
+        // Missing categories count as zero channels
+        return key !== undefined ? value[key] : 0;
+    }
+    
+    return value === undefined ? null : value;
+}
+
+/**
+ * Loosely compares two values: numeric strings compare as numbers, strings case-insensitively
+ */
+function expressionValuesEqual(a, b) {
+    if (a === null || a === undefined || b === null || b === undefined) {
+        return (a === null || a === undefined) && (b === null || b === undefined);
+    }
+    if (typeof a === 'number' || typeof b === 'number') {
+        return Number(a) === Number(b);
+    }
+    if (typeof a === 'boolean' || typeof b === 'boolean') {
+        return Boolean(a) === Boolean(b);
+    }
+    return String(a).toLowerCase() === String(b).toLowerCase();
+}
+
+/**
+ * Evaluates an AST node against a record
+ * @param {Object} ast - AST node
+ * @param {Object} record - Node or edge record with long attribute names
+ * @returns {*} Evaluated value
+ */
+function evaluateExpression(ast, record) {
+    switch (ast.type) {
+        case 'literal':
+            return ast.value;
+        case 'field':
+            return readExpressionField(record, ast);
+        case 'and':
+            return isExpressionTruthy(evaluateExpression(ast.left, record)) &&
+                   isExpressionTruthy(evaluateExpression(ast.right, record));
+        case 'or':
+            return isExpressionTruthy(evaluateExpression(ast.left, record)) ||
+                   isExpressionTruthy(evaluateExpression(ast.right, record));
+        case 'not':
+            return !isExpressionTruthy(evaluateExpression(ast.operand, record));
+        case 'compare': {
+            const left = evaluateExpression(ast.left, record);
+            const right = evaluateExpression(ast.right, record);
+            if (ast.op === '=') return expressionValuesEqual(left, right);
+            if (ast.op === '!=') return !expressionValuesEqual(left, right);
+            if (left === null || right === null) return false;
+            const a = typeof right === 'number' ? Number(left) : left;
+            const b = typeof left === 'number' ? Number(right) : right;
+            if (ast.op === '<') return a < b;
+            if (ast.op === '<=') return a <= b;
+            if (ast.op === '>') return a > b;
+            return a >= b;
+        }
+        case 'has': {
+            const left = evaluateExpression(ast.left, record);
+            const right = evaluateExpression(ast.right, record);
+            if (Array.isArray(left)) return left.some(item => expressionValuesEqual(item, right));
+            if (left === null || right === null) return false;
+            return String(left).toLowerCase().includes(String(right).toLowerCase());
+        }
+        case 'in': {
+            const left = evaluateExpression(ast.left, record);
+            return ast.values.some(value => expressionValuesEqual(left, evaluateExpression(value, record)));
+        }
+        default:
+            return false;
+    }
+}
+
+/**
+ * Truthiness used for bare fields (is_bridge_channel) and logical operators
+ */
+function isExpressionTruthy(value) {
+    if (Array.isArray(value)) return value.length > 0;
+    return Boolean(value);
+}
+
+/**
+ * Collects the scopes ('node' / 'channel') referenced by an AST
+ */
+function collectExpressionScopes(ast, scopes = new Set()) {
+    if (ast.type === 'field') scopes.add(ast.scope);
+    ['left', 'right', 'operand'].forEach(key => {
+        if (ast[key]) collectExpressionScopes(ast[key], scopes);
+    });
+    (ast.values || []).forEach(value => collectExpressionScopes(value, scopes));
+    return scopes;
+}
+
+/**
+ * Compiles an expression into separate node and channel predicates
+ * Top-level "and" clauses are split by scope, so node and channel conditions can be
+ * combined with "and"; mixing both inside one "or"/"not" clause is rejected
+ * @param {string} source - Expression text
+ * @returns {Object} { source, nodePredicate, edgePredicate } (predicates may be null)
+ */
+function compileFilterExpression(source) {
+    const ast = parseFilterExpression(source);
+    
+    // Flatten top-level conjunctions
+    const clauses = [];
+    (function flatten(node) {
+        if (node.type === 'and') {
+            flatten(node.left);
+            flatten(node.right);
+        } else {
+            clauses.push(node);
+        }
+    })(ast);
+    
+    const nodeClauses = [];
+    const channelClauses = [];
+    clauses.forEach(clause => {
+        const scopes = collectExpressionScopes(clause);
+        if (scopes.size > 1) {
+            throw createFilterSyntaxError(
+                'Cannot mix node and channel fields inside one "or"/"not" clause; combine them with a top-level "and"',
+                clause.position
+            );
+        }
+        if (scopes.has('channel')) {
+            channelClauses.push(clause);
+        } else {
+            nodeClauses.push(clause);
+        }
+    });
+    
+    const toPredicate = (list) => list.length === 0 ? null :
+        (record) => list.every(clause => isExpressionTruthy(evaluateExpression(clause, record)));
+    
+    return {
+        source: source,
+        nodePredicate: toPredicate(nodeClauses),
+        edgePredicate: toPredicate(channelClauses)
+    };
+}
+
+/**
+ * Sets up field-name autocompletion for the expression input
+ * @param {HTMLInputElement} input - Expression input element
+ * @param {HTMLElement} list - Element that receives the suggestion items
+ * @param {Function} getFieldNames - Returns the completable names for the loaded dataset
+ * @returns {Object} API with isOpen() and close()
+ */
+function createExpressionAutocomplete(input, list, getFieldNames) {
+    let suggestions = [];
+    let activeIndex = 0;
+    
+    function currentWord() {
+        const before = input.value.slice(0, input.selectionStart);
+        const match = /[A-Za-z_][\w.]*$/.exec(before);
+        return match ? { text: match[0], start: match.index } : null;
+    }
+    
+    function close() {
+        suggestions = [];
+        list.innerHTML = '';
+        list.style.display = 'none';
+    }
+    
+    function render() {
+        list.innerHTML = suggestions.map((name, index) =>
+            `<div class="expression-suggestion${index === activeIndex ? ' active' : ''}" data-index="${index}">${name}</div>`
+        ).join('');
+        list.style.display = suggestions.length > 0 ? 'block' : 'none';
+    }
+    
+    function update() {
+        const word = currentWord();
+        if (!word || EXPRESSION_KEYWORDS.includes(word.text.toLowerCase())) {
+            close();
+            return;
+        }
+        const prefix = word.text.toLowerCase();
+        suggestions = getFieldNames()
+            .filter(name => name.toLowerCase().startsWith(prefix) && name.toLowerCase() !== prefix)
+            .slice(0, 8);
+        activeIndex = 0;
+        render();
+    }
+    
+    function accept(index) {
+        const word = currentWord();
+        const name = suggestions[index];
+        if (!word || !name) return;
+        const end = input.selectionStart;
+        input.value = input.value.slice(0, word.start) + name + input.value.slice(end);
+        const caret = word.start + name.length;
+        input.setSelectionRange(caret, caret);
+        close();
+        input.focus();
+        input.dispatchEvent(new Event('input'));
+    }
+    
+    input.addEventListener('input', update);
+    input.addEventListener('blur', () => setTimeout(close, 150));
+    input.addEventListener('keydown', (e) => {
+        if (suggestions.length === 0) return;
+        if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+            e.preventDefault();
+            const step = e.key === 'ArrowDown' ? 1 : -1;
+            activeIndex = (activeIndex + step + suggestions.length) % suggestions.length;
+            render();
+        } else if (e.key === 'Tab' || e.key === 'Enter') {
+            e.preventDefault();
+            e.stopImmediatePropagation();
+            accept(activeIndex);
+        } else if (e.key === 'Escape') {
+            close();
+        }
+    });
+    list.addEventListener('mousedown', (e) => {
+        const item = e.target.closest('.expression-suggestion');
+        if (item) {
+            e.preventDefault();
+            accept(parseInt(item.dataset.index));
+        }
+    });
+    
+    return { close, isOpen: () => suggestions.length > 0 };
+}
+
+// =============================================================================
+// VISIBILITY MANAGEMENT
+// =============================================================================
+
+/**
+ * Tells whether a node or edge belongs to the loaded network: collapsed-cluster meta items
+ * (`isMeta`) and closed items drawn by the snapshot comparison (`snapshotOnly`) do not
+ * @param {Object} attributes - Graph attributes of the node or edge
+ * @returns {boolean} True for nodes and channels of the current network
+ */
+function isNetworkItem(attributes) {
+    return !attributes.isMeta && !attributes.snapshotOnly;
+}
+
+/**
+ * Combines independent visibility layers into the `hidden` attribute of every node and edge
+ * Each layer (dataset filters, search, ...) only describes what it wants to show; the manager
+ * intersects them so toggling one layer never overwrites another. Selection focus is applied
+ * last: edges not touching the selected node are hidden and unrelated nodes are dimmed.
+ * Collapsed-cluster meta nodes and edges (`isMeta`) only go through layers that define
+ * `metaNode` / `metaEdge`. Only items of the current network (isNetworkItem) are counted.
+ * @param {Object} graph - Graphology graph instance
+ * @param {Object} renderer - Sigma.js renderer instance
+ * @returns {Object} Visibility API
+ */
+function createVisibilityManager(graph, renderer) {
+    // name -> { node?: (nodeId) => boolean, edge?: (edgeId) => boolean, hideIsolatedNodes?: boolean,
+    //          metaNode?: (nodeId) => boolean, metaEdge?: (edgeId) => boolean }
+    const layers = new Map();
+    const focusNodes = new Set();
+    // Edges that pass every layer but are hidden by the selection focus
+    const focusHiddenEdges = new Set();
+    const listeners = [];
+    // name -> { node?: (nodeId, res) => void, edge?: (edgeId, res) => void }, applied by the reducers
+    const overlays = new Map();
+    let focusNode = null;
+    let counts = { nodes: graph.order, edges: graph.size, totalNodes: graph.order, totalEdges: graph.size };
+    
+    function setLayer(name, layer) {
+        if (layer) {
+            layers.set(name, layer);
+        } else {
+            layers.delete(name);
+        }
+    }
+    
+    function hasLayer(name) {
+        return layers.has(name);
+    }
+    
+    function setFocus(nodeId) {
+        focusNode = nodeId;
+    }
+    
+    function recompute() {
+        const activeLayers = [...layers.values()];
+        const visibleNodes = new Set();
+        
+        const metaNodes = new Set();
+        const metaEdges = new Set();
+        const uncountedNodes = new Set();
+        const uncountedEdges = new Set();
+        
+        // 1. Nodes must pass every layer
+        graph.forEachNode((nodeId, attributes) => {
+            if (!isNetworkItem(attributes)) uncountedNodes.add(nodeId);
+            if (attributes.isMeta) {
+                metaNodes.add(nodeId);
+                if (activeLayers.every(layer => !layer.metaNode || layer.metaNode(nodeId))) {
+                    visibleNodes.add(nodeId);
+                }
+            } else if (activeLayers.every(layer => !layer.node || layer.node(nodeId))) {
+                visibleNodes.add(nodeId);
+            }
+        });
+        
+        // 2. Edges must pass every layer and keep both endpoints visible
+        const visibleEdges = new Set();
+        const nodesWithVisibleChannels = new Set();
+        graph.forEachEdge((edgeId, attributes, source, target) => {
+            if (attributes.isMeta) metaEdges.add(edgeId);
+            if (!isNetworkItem(attributes)) uncountedEdges.add(edgeId);
+            if (visibleNodes.has(source) && visibleNodes.has(target) &&
+                (attributes.isMeta
+                    ? activeLayers.every(layer => !layer.metaEdge || layer.metaEdge(edgeId))
+                    : activeLayers.every(layer => !layer.edge || layer.edge(edgeId)))) {
+                visibleEdges.add(edgeId);
+                nodesWithVisibleChannels.add(source);
+                nodesWithVisibleChannels.add(target);
+            }
+        });
+        
+        // 3. Optionally drop nodes left without any visible channel
+        if (activeLayers.some(layer => layer.hideIsolatedNodes)) {
+            visibleNodes.forEach(nodeId => {
+                if (!nodesWithVisibleChannels.has(nodeId) && !metaNodes.has(nodeId)) visibleNodes.delete(nodeId);
+            });
+        }
+        
+        // 4. Selection focus: keep only channels of the selected node, dim everything else
+        focusNodes.clear();
+        focusHiddenEdges.clear();
+        if (focusNode && visibleNodes.has(focusNode)) {
+            focusNodes.add(focusNode);
+            graph.forEachEdge(focusNode, (edgeId, attributes, source, target) => {
+                if (visibleEdges.has(edgeId)) {
+                    focusNodes.add(source === focusNode ? target : source);
+                }
+            });
+            visibleEdges.forEach(edgeId => {
+                if (graph.source(edgeId) !== focusNode && graph.target(edgeId) !== focusNode) {
+                    visibleEdges.delete(edgeId);
+                    focusHiddenEdges.add(edgeId);
+                }
+            });
+        }
+        
+        // Write the combined result back to the graph
+        graph.forEachNode(nodeId => {
+            graph.setNodeAttribute(nodeId, 'hidden', !visibleNodes.has(nodeId));
+        });
+        graph.forEachEdge(edgeId => {
+            graph.setEdgeAttribute(edgeId, 'hidden', !visibleEdges.has(edgeId));
+        });
+        
+        const countNetwork = (items, uncounted) => [...items].filter(item => !uncounted.has(item)).length;
+        counts = {
+            nodes: countNetwork(focusNodes.size > 0 ? focusNodes : visibleNodes, uncountedNodes),
+            edges: countNetwork(visibleEdges, uncountedEdges),
+            totalNodes: graph.order - uncountedNodes.size,
+            totalEdges: graph.size - uncountedEdges.size
+        };
+        
+        updateFilterCounter(counts);
+        renderer.refresh();
+        updateNetworkSummary();
+        listeners.forEach(listener => listener(counts));
+    }
+    
+    function isDimmed(nodeId) {
+        return focusNodes.size > 0 && !focusNodes.has(nodeId);
+    }
+    
+    function isHiddenByFocus(edgeId) {
+        return focusHiddenEdges.has(edgeId);
+    }
+    
+    function onChange(listener) {
+        listeners.push(listener);
+    }
+    
+    /**
+     * Registers display-only styling (colors, sizes) applied on top of the selection styling
+     * Overlays do not change visibility counts; call renderer.refresh() after changing them
+     */
+    function setOverlay(name, overlay) {
+        if (overlay) {
+            overlays.set(name, overlay);
+        } else {
+            overlays.delete(name);
+        }
+    }
+    
+    function styleNode(nodeId, res) {
+        overlays.forEach(overlay => overlay.node && overlay.node(nodeId, res));
+        return res;
+    }
+    
+    function styleEdge(edgeId, res) {
+        overlays.forEach(overlay => overlay.edge && overlay.edge(edgeId, res));
+        return res;
+    }
+    
+    return {
+        setLayer,
+        hasLayer,
+        setFocus,
+        recompute,
+        isDimmed,
+        isHiddenByFocus,
+        onChange,
+        setOverlay,
+        styleNode,
+        styleEdge,
+        get focusNode() { return focusNode; },
+        get counts() { return counts; }
+    };
+}
+
+/**
+ * Writes visible/total node and channel counts into the filter results box
+ * @param {Object} counts - Counts from the visibility manager
+ */
+function updateFilterCounter(counts) {
+    const elements = {
+        'visible-count': counts.nodes,
+        'total-count': counts.totalNodes,
+        'visible-channel-count': counts.edges,
+        'total-channel-count': counts.totalEdges
+    };
+    for (const [id, value] of Object.entries(elements)) {
+        const element = document.getElementById(id);
+        if (element) element.textContent = value.toLocaleString();
+    }
+}
+
+/**
+ * Finds the nodes and edges matching a search query
+ * Matching nodes bring their direct neighbors along; edges are kept only when
+ * at least one endpoint is an original match
+ * @param {Object} graph - Graphology graph instance
+ * @param {string} query - Lowercased search text
+ * @returns {Object|null} { nodes: Set, edges: Set }, or null when the query is too short
+ */
+function computeSearchMatches(graph, query) {
+    if (query.length < TIMING.SEARCH_MIN_LENGTH) return null;
+    
+    // Enhanced search with multiple criteria
+    const searchTerms = query.split(' ').filter(term => term.length > 0);
+    const matchingNodes = new Set();
+    const originalMatchingNodes = new Set();
+    const matchingEdges = new Set();
+
+    graph.forEachNode(node => {
+        const nodeAttributes = graph.getNodeAttributes(node);
+        if (nodeAttributes.isMeta) return;
+        const attrs = nodeAttributes.attributes;
+        
+        // Multi-field search
+        const basicSearchableText = [
+            nodeAttributes.label || '',
+            attrs.alias || '',
+            attrs.nodeType || '',
+            attrs.channelSegment || '',
+            attrs.pubKey || ''
+        ].join(' ').toLowerCase();
+        
+        // Add channel categories from category counts (only if count > 0)
+        let channelTypesText = '';
+        try {
+            const categoryCountsObj = typeof attrs.categoryCount === 'string' 
+                ? JSON.parse(attrs.categoryCount) 
+                : attrs.categoryCount;
+                
+            if (categoryCountsObj && typeof categoryCountsObj === 'object') {
+                const activeChannelTypes = Object.keys(categoryCountsObj)
+                    .filter(channelType => categoryCountsObj[channelType] > 0)
+                    .map(channelType => channelType.toLowerCase());
+                channelTypesText = activeChannelTypes.join(' ');
+            }
+        } catch (e) {
+            channelTypesText = '';
+        }
+        
+        // Add cluster if available
+        let clusterText = '';
+        if (attrs.cluster !== undefined && attrs.cluster !== null) {
+            clusterText = `cluster ${attrs.cluster}`;
+        }
+        
+        // Combine all searchable text
+        const searchableText = basicSearchableText + ' ' + channelTypesText + ' ' + clusterText;
+        
+        // Check if ALL search terms are found (AND logic)
+        const isMatch = searchTerms.every(term => searchableText.includes(term));
+        
+        if (isMatch) {
+            matchingNodes.add(node);
+            originalMatchingNodes.add(node);
+
+            // Show connected nodes
+            graph.forEachNeighbor(node, neighbor => {
+                matchingNodes.add(neighbor);
+            });
+        }
+    });
+
+    // Show edges ONLY if at least one end is an original matching node
+    graph.forEachEdge((edge, attributes, source, target) => {
+        if ((originalMatchingNodes.has(source) || originalMatchingNodes.has(target)) &&
+            matchingNodes.has(source) && matchingNodes.has(target)) {
+            matchingEdges.add(edge);
+        }
+    });
+    
+    return { nodes: matchingNodes, edges: matchingEdges };
+}
+
+// =============================================================================
+// ROUTE FINDER
+// =============================================================================
+
+// Colors used to draw routes over the dimmed graph
+const ROUTE_STYLE = {
+    PRIMARY: '#E8916B',     // Highlighted route (brand primary)
+    ALTERNATIVE: '#8BBEDC', // Other routes found (accent cool)
+    DIMMED_NODE: '#F3F4F6',
+    DIMMED_EDGE: '#EFEFEF'
+};
+
+/**
+ * Largest amount a single HTLC can carry over an edge
+ * Parallel channels cannot be combined for one payment part, so the largest
+ * individual channel counts; total_capacity is used when channel details are missing
+ * @param {Object} edgeAttributes - Graph edge attributes
+ * @returns {number} Capacity in satoshis
+ */
+function getHopCapacity(edgeAttributes) {
+    const attrs = edgeAttributes.attributes;
+    const channels = Array.isArray(attrs.channels) ? attrs.channels : [];
+    const largestChannel = channels.reduce((max, channel) => Math.max(max, channel.capacity || 0), 0);
+    return largestChannel > 0 ? largestChannel : (attrs.capacity || 0);
+}
+
+/**
+ * Breadth-first search for the path with the fewest hops
+ * @param {Object} graph - Graphology graph instance
+ * @param {string} source - Source node id
+ * @param {string} target - Target node id
+ * @param {Function} isUsable - (edgeId) => boolean, hop constraint
+ * @param {Set} excludedNodes - Nodes that may not be visited
+ * @param {Set} excludedEdges - Edges that may not be used
+ * @returns {Object|null} { nodes: [], edges: [] } or null if unreachable
+ */
+function findShortestPath(graph, source, target, isUsable, excludedNodes = new Set(), excludedEdges = new Set()) {
+    if (source === target) return { nodes: [source], edges: [] };
+    
+    const previous = new Map([[source, null]]);
+    const queue = [source];
+    
+    for (let head = 0; head < queue.length; head++) {
+        const current = queue[head];
+        let found = false;
+        
+        graph.forEachEdge(current, (edgeId, attributes, edgeSource, edgeTarget) => {
+            if (found) return;
+            const neighbor = edgeSource === current ? edgeTarget : edgeSource;
+            if (previous.has(neighbor) || excludedNodes.has(neighbor) ||
+                excludedEdges.has(edgeId) || !isUsable(edgeId)) {
+                return;
+            }
+            previous.set(neighbor, { node: current, edge: edgeId });
+            if (neighbor === target) {
+                found = true;
+            } else {
+                queue.push(neighbor);
+            }
+        });
+        
+        if (found) break;
+    }
+    
+    if (!previous.has(target)) return null;
+    
+    // Walk back from the target
+    const nodes = [target];
+    const edges = [];
+    let step = previous.get(target);
+    while (step) {
+        nodes.unshift(step.node);
+        edges.unshift(step.edge);
+        step = previous.get(step.node);
+    }
+    return { nodes, edges };
+}
+
+/**
+ * Finds the k shortest loopless routes (Yen's algorithm, hop count as distance)
+ * where every hop can carry the payment amount
+ * @param {Object} graph - Graphology graph instance
+ * @param {string} source - Source node id
+ * @param {string} target - Target node id
+ * @param {number} amount - Payment amount in satoshis
+ * @param {number} k - Maximum number of routes to return
+ * @param {Function} [isEdgeAllowed] - Optional extra (edgeId) => boolean hop constraint
+ * @returns {Array} Routes sorted by hop count, then by bottleneck capacity
+ */
+function findKShortestRoutes(graph, source, target, amount, k, isEdgeAllowed = () => true) {
+    const isUsable = edgeId => getHopCapacity(graph.getEdgeAttributes(edgeId)) >= amount && isEdgeAllowed(edgeId);
+    
+    const describe = path => {
+        const hopCapacities = path.edges.map(edgeId => getHopCapacity(graph.getEdgeAttributes(edgeId)));
+        return {
+            nodes: path.nodes,
+            edges: path.edges,
+            hops: path.edges.length,
+            bottleneck: hopCapacities.length > 0 ? Math.min(...hopCapacities) : 0
+        };
+    };
+    const byLengthThenBottleneck = (a, b) => a.hops - b.hops || b.bottleneck - a.bottleneck;
+    
+    const first = findShortestPath(graph, source, target, isUsable);
+    if (!first) return [];
+    
+    const routes = [describe(first)];
+    const candidates = [];
+    const seen = new Set([first.edges.join('|')]);
+    
+    while (routes.length < k) {
+        const last = routes[routes.length - 1];
+        
+        for (let i = 0; i < last.nodes.length - 1; i++) {
+            const spurNode = last.nodes[i];
+            const rootNodes = last.nodes.slice(0, i + 1);
+            const rootEdges = last.edges.slice(0, i);
+            
+            // Block the next edge of every known route sharing this root
+            const excludedEdges = new Set();
+            routes.forEach(route => {
+                if (route.edges.length > i && rootNodes.every((node, index) => route.nodes[index] === node)) {
+                    excludedEdges.add(route.edges[i]);
+                }
+            });
+            const excludedNodes = new Set(rootNodes.slice(0, -1));
+            
+            const spurPath = findShortestPath(graph, spurNode, target, isUsable, excludedNodes, excludedEdges);
+            if (!spurPath) continue;
+            
+            const edges = rootEdges.concat(spurPath.edges);
+            const key = edges.join('|');
+            if (seen.has(key)) continue;
+            seen.add(key);
+            candidates.push(describe({ nodes: rootNodes.slice(0, -1).concat(spurPath.nodes), edges }));
+        }
+        
+        if (candidates.length === 0) break;
+        candidates.sort(byLengthThenBottleneck);
+        routes.push(candidates.shift());
+    }
+    
+    return routes.sort(byLengthThenBottleneck);
+}
+
+/**
+ * Builds a label used in node pickers: alias plus a short public key prefix
+ */
+function formatNodeOption(graph, nodeId) {
+    const nodeAttributes = graph.getNodeAttributes(nodeId);
+    const pubKey = nodeAttributes.attributes.pubKey || nodeId;
+    return `${nodeAttributes.label} [${String(pubKey).slice(0, 10)}]`;
+}
+
+/**
+ * Resolves picker text to a node id: "alias [pubkeyprefix]", exact alias, public key or id
+ * @param {Object} graph - Graphology graph instance
+ * @param {string} text - User input
+ * @returns {string|null} Node id or null when nothing matches
+ */
+function findNodeByQuery(graph, text) {
+    const query = (text || '').trim();
+    if (!query) return null;
+    if (graph.hasNode(query)) return query;
+    
+    const prefixMatch = /\[([0-9a-fA-F]+)\]\s*$/.exec(query);
+    const aliasPart = query.replace(/\s*\[[0-9a-fA-F]+\]\s*$/, '').toLowerCase();
+    
+    let found = null;
+    graph.forEachNode((nodeId, nodeAttributes) => {
+        if (found || !isNetworkItem(nodeAttributes)) return;
+        const pubKey = String(nodeAttributes.attributes.pubKey || '');
+        if (prefixMatch) {
+            if (pubKey.startsWith(prefixMatch[1])) found = nodeId;
+        } else if (pubKey === query || (nodeAttributes.label || '').toLowerCase() === aliasPart) {
+            found = nodeId;
+        }
+    });
+    return found;
+}
+
+/**
+ * Wires the Route Finder panel: node pickers, k-shortest route search and route drawing
+ * @param {Object} graph - Graphology graph instance
+ * @param {Object} renderer - Sigma.js renderer instance
+ * @param {Object} visibility - Visibility manager (routes are drawn as an overlay)
+ * @param {Object} listenerOptions - addEventListener options carrying the dataset's abort signal
+ */
+function setupRouteFinder(graph, renderer, visibility, listenerOptions) {
+    const sourceInput = document.getElementById('route-source');
+    const targetInput = document.getElementById('route-target');
+    const amountInput = document.getElementById('route-amount');
+    const countInput = document.getElementById('route-count');
+    const resultsElement = document.getElementById('route-results');
+    const nodeOptions = document.getElementById('route-node-options');
+    if (!sourceInput || !targetInput || !resultsElement) return;
+    
+    let routes = [];
+    let activeRoute = 0;
+    
+    // Node suggestions for both pickers
+    if (nodeOptions) {
+        const options = [];
+        graph.forEachNode(nodeId => options.push(`<option value="${escapeXml(formatNodeOption(graph, nodeId))}"></option>`));
+        nodeOptions.innerHTML = options.join('');
+    }
+    
+    function drawRoutes() {
+        if (routes.length === 0) {
+            visibility.setOverlay('route', null);
+            renderer.refresh();
+            return;
+        }
+        
+        // Active route drawn last so it wins when routes share nodes or edges
+        const nodeColors = new Map();
+        const edgeColors = new Map();
+        const order = routes.map((route, index) => index).filter(index => index !== activeRoute).concat(activeRoute);
+        order.forEach(index => {
+            const color = index === activeRoute ? ROUTE_STYLE.PRIMARY : ROUTE_STYLE.ALTERNATIVE;
+            routes[index].nodes.forEach(nodeId => nodeColors.set(nodeId, color));
+            routes[index].edges.forEach(edgeId => edgeColors.set(edgeId, color));
+        });
+        const endpoints = new Set([routes[0].nodes[0], routes[0].nodes[routes[0].nodes.length - 1]]);
+        
+        visibility.setOverlay('route', {
+            node: (nodeId, res) => {
+                if (nodeColors.has(nodeId)) {
+                    res.hidden = false;
+                    res.highlighted = endpoints.has(nodeId);
+                    res.forceLabel = true;
+                } else {
+                    res.color = ROUTE_STYLE.DIMMED_NODE;
+                    res.highlighted = false;
+                    res.label = null;
+                }
+            },
+            edge: (edgeId, res) => {
+                if (edgeColors.has(edgeId)) {
+                    res.hidden = false;
+                    res.color = edgeColors.get(edgeId);
+                    res.size = edgeColors.get(edgeId) === ROUTE_STYLE.PRIMARY ? 4 : 2.5;
+                } else {
+                    res.color = ROUTE_STYLE.DIMMED_EDGE;
+                }
+            }
+        });
+        renderer.refresh();
+    }
+    
+    function renderResults(message) {
+        if (message) {
+            resultsElement.innerHTML = `<div class="route-message">${message}</div>`;
+            return;
+        }
+        
+        resultsElement.innerHTML = routes.map((route, index) => {
+            const hopsHtml = route.nodes.map(nodeId => escapeXml(graph.getNodeAttribute(nodeId, 'label'))).join(' → ');
+            
+            const bridges = route.edges
+                .map(edgeId => ({ edgeId, attrs: graph.getEdgeAttributes(edgeId).attributes }))
+                .filter(({ attrs }) => attrs.isBridgeChannel || attrs.isImportantBridgeChannel)
+                .map(({ edgeId, attrs }) => {
+                    const from = escapeXml(graph.getNodeAttribute(graph.source(edgeId), 'label'));
+                    const to = escapeXml(graph.getNodeAttribute(graph.target(edgeId), 'label'));
+                    const kind = attrs.isImportantBridgeChannel ? 'Critical bridge' : 'Bridge';
+                    return `<div class="route-bridge">🌉 ${kind}: ${from} ↔ ${to}</div>`;
+                });
+            
+            return `
+                <div class="route-item${index === activeRoute ? ' active' : ''}" data-index="${index}">
+                    <div class="route-item-title">Route ${index + 1}</div>
+                    <div><span class="info-label">Hops:</span> ${route.hops}</div>
+                    <div><span class="info-label">Bottleneck:</span> ${formatCapacity(route.bottleneck)}</div>
+                    <div class="route-path">${hopsHtml}</div>
+                    ${bridges.length > 0 ? bridges.join('') : '<div class="route-bridge none">No bridge channels on this route</div>'}
+                </div>
+            `;
+        }).join('');
+    }
+    
+    function clearRoutes() {
+        routes = [];
+        activeRoute = 0;
+        resultsElement.innerHTML = '';
+        drawRoutes();
+    }
+    
+    function findRoutes() {
+        const source = findNodeByQuery(graph, sourceInput.value);
+        const target = findNodeByQuery(graph, targetInput.value);
+        const amount = Math.max(0, parseInt(amountInput.value) || 0);
+        const k = Math.min(10, Math.max(1, parseInt(countInput.value) || 3));
+        
+        if (!source || !target) {
+            clearRoutes();
+            renderResults(`Unknown ${!source ? 'source' : 'destination'} node. Pick one from the suggestions or click it on the graph.`);
+            return;
+        }
+        if (source === target) {
+            clearRoutes();
+            renderResults('Source and destination are the same node.');
+            return;
+        }
+        
+        // Nodes and channels removed in the what-if simulator, or only present in an
+        // earlier snapshot, cannot carry payments
+        const isEdgeAllowed = edgeId => isNetworkItem(graph.getEdgeAttributes(edgeId)) && (!currentWhatIf || (
+            !currentWhatIf.isEdgeRemoved(edgeId) &&
+            !currentWhatIf.isNodeRemoved(graph.source(edgeId)) &&
+            !currentWhatIf.isNodeRemoved(graph.target(edgeId))
+        ));
+        routes = findKShortestRoutes(graph, source, target, amount, k, isEdgeAllowed);
+        activeRoute = 0;
+        
+        if (routes.length === 0) {
+            renderResults(`No route where every hop can carry ${formatCapacity(amount)}.`);
+        } else {
+            renderResults();
+        }
+        drawRoutes();
+        console.log(`🧭 Found ${routes.length} route(s) for ${amount} sats`);
+    }
+    
+    // "Use selected" and "pick on graph" helpers for both endpoints
+    function bindPicker(input, selectedButtonId, pickButtonId) {
+        const selectedButton = document.getElementById(selectedButtonId);
+        const pickButton = document.getElementById(pickButtonId);
+        
+        if (selectedButton) {
+            selectedButton.addEventListener('click', () => {
+                if (selectedNode) input.value = formatNodeOption(graph, selectedNode);
+            }, listenerOptions);
+        }
+        if (pickButton) {
+            pickButton.addEventListener('click', () => {
+                document.getElementById('graph-container').classList.add('picking-node');
+                nodePickHandler = nodeId => {
+                    input.value = formatNodeOption(graph, nodeId);
+                };
+            }, listenerOptions);
+        }
+    }
+    
+    bindPicker(sourceInput, 'route-source-selected', 'route-source-pick');
+    bindPicker(targetInput, 'route-target-selected', 'route-target-pick');
+    
+    document.getElementById('route-find').addEventListener('click', findRoutes, listenerOptions);
+    document.getElementById('route-clear').addEventListener('click', clearRoutes, listenerOptions);
+    
+    // Clicking a route in the list brings it to the front
+    resultsElement.addEventListener('click', (e) => {
+        const item = e.target.closest('.route-item');
+        if (!item) return;
+        activeRoute = parseInt(item.dataset.index);
+        renderResults();
+        drawRoutes();
+    }, listenerOptions);
+    
+    resultsElement.innerHTML = '';
+}
+
+// =============================================================================
+// EGO NETWORK EXPLORER
+// =============================================================================
+
+// Node colors by hop distance from the ego (center) node
+const EGO_HOP_COLORS = {
+    0: '#2A3342',   // Center node (secondary)
+    1: '#E8916B',   // Direct neighbors (primary)
+    2: '#FACC15',
+    3: '#4ADE80',
+    4: '#60A5FA'
+};
+
+const EGO_MAX_DEPTH = 4;
+
+/**
+ * Breadth-first expansion of a node's k-hop neighborhood
+ * Nodes matching the excluded cluster or node type are neither included nor expanded
+ * @param {Object} graph - Graphology graph instance
+ * @param {string} center - Center node id
+ * @param {number} depth - Maximum hop distance (1-4)
+ * @param {Object} exclude - { cluster: string|null, nodeType: string|null }
+ * @returns {Map} nodeId -> hop distance
+ */
+function computeEgoNetwork(graph, center, depth, exclude = {}) {
+    const isExcluded = nodeId => {
+        const nodeAttributes = graph.getNodeAttributes(nodeId);
+        if (!isNetworkItem(nodeAttributes)) return true;
+        const attrs = nodeAttributes.attributes;
+        if (exclude.cluster !== null && exclude.cluster !== undefined && String(attrs.cluster) === exclude.cluster) {
+            return true;
+        }
+        if (exclude.nodeType) {
+            const types = String(attrs.nodeType || '').split(',').map(type => type.trim());
+            if (types.includes(exclude.nodeType)) return true;
+        }
+        return false;
+    };
+    
+    const distances = new Map([[center, 0]]);
+    let frontier = [center];
+    
+    for (let hop = 1; hop <= depth && frontier.length > 0; hop++) {
+        const nextFrontier = [];
+        frontier.forEach(nodeId => {
+            graph.forEachNeighbor(nodeId, neighbor => {
+                if (distances.has(neighbor) || isExcluded(neighbor)) return;
+                distances.set(neighbor, hop);
+                nextFrontier.push(neighbor);
+            });
+        });
+        frontier = nextFrontier;
+    }
+    
+    return distances;
+}
+
+/**
+ * Adds k-hop neighborhood controls to the Node Information panel and isolates the neighborhood
+ * @param {Object} graph - Graphology graph instance
+ * @param {Object} renderer - Sigma.js renderer instance
+ * @param {Object} visibility - Visibility manager (the neighborhood is the 'ego' layer)
+ * @param {Object} listenerOptions - addEventListener options carrying the dataset's abort signal
+ * @returns {Object} Ego explorer API
+ */
+function createEgoExplorer(graph, renderer, visibility, listenerOptions) {
+    const state = {
+        active: false,
+        center: null,
+        depth: 1,
+        excludeCluster: null,
+        excludeNodeType: null,
+        distances: new Map()
+    };
+    
+    // Options for the exclusion selects, taken from the loaded data
+    const nodeTypes = new Set();
+    graph.forEachNode((nodeId, nodeAttributes) => {
+        String(nodeAttributes.attributes.nodeType || '').split(',').map(type => type.trim())
+            .filter(type => type && type !== 'Unknown')
+            .forEach(type => nodeTypes.add(type));
+    });
+    const sortedNodeTypes = [...nodeTypes].sort();
+    
+    function renderControls() {
+        const nodeInfo = document.getElementById('node-info');
+        if (!nodeInfo || !state.center) return;
+        
+        // Clusters are listed on every render: community detection can reassign them
+        const clusters = new Set();
+        graph.forEachNode((nodeId, nodeAttributes) => {
+            if (!isNetworkItem(nodeAttributes)) return;
+            const cluster = nodeAttributes.attributes.cluster;
+            if (cluster !== undefined && cluster !== null) clusters.add(String(cluster));
+        });
+        const sortedClusters = [...clusters].sort((a, b) => Number(a) - Number(b));
+        
+        let container = document.getElementById('ego-explorer');
+        if (!container) {
+            container = document.createElement('div');
+            container.id = 'ego-explorer';
+            container.className = 'ego-explorer';
+            nodeInfo.appendChild(container);
+        }
+        
+        const option = (value, label, selected) =>
+            `<option value="${escapeXml(value)}"${selected ? ' selected' : ''}>${escapeXml(label)}</option>`;
+        
+        let statsHtml = '';
+        if (state.active) {
+            const perHop = new Map();
+            let reachableCapacity = 0;
+            state.distances.forEach((hop, nodeId) => {
+                if (hop === 0) return;
+                perHop.set(hop, (perHop.get(hop) || 0) + 1);
+                const record = graph.getNodeAttribute(nodeId, 'record');
+                reachableCapacity += (record && record.total_capacity) || 0;
+            });
+            
+            let channelCapacity = 0;
+            graph.forEachEdge((edgeId, edgeAttributes, source, target) => {
+                if (isNetworkItem(edgeAttributes) && state.distances.has(source) && state.distances.has(target)) {
+                    channelCapacity += edgeAttributes.attributes.capacity || 0;
+                }
+            });
+            
+            const hopRows = [];
+            for (let hop = 1; hop <= state.depth; hop++) {
+                hopRows.push(`
+                    <div class="ego-hop-row">
+                        <span class="ego-hop-swatch" style="background: ${EGO_HOP_COLORS[hop]};"></span>
+                        <span class="info-label">Hop ${hop}:</span> ${(perHop.get(hop) || 0).toLocaleString()} nodes
+                    </div>
+                `);
+            }
+            
+            statsHtml = `
+                <div class="ego-stats">
+                    ${hopRows.join('')}
+                    <div><span class="info-label">Reachable Nodes:</span> ${(state.distances.size - 1).toLocaleString()}</div>
+                    <div><span class="info-label">Reachable Node Capacity:</span> ${formatCapacity(reachableCapacity)}</div>
+                    <div><span class="info-label">Channel Capacity Inside:</span> ${formatCapacity(channelCapacity)}</div>
+                </div>
+            `;
+        }
+        
+        container.innerHTML = `
+            <div class="ego-title"><i class="fas fa-circle-nodes"></i> Neighborhood</div>
+            <div class="ego-controls">
+                <label>Depth
+                    <select id="ego-depth">
+                        ${[1, 2, 3, 4].map(depth => option(depth, `${depth} hop${depth > 1 ? 's' : ''}`, depth === state.depth)).join('')}
+                    </select>
+                </label>
+                <label>Exclude cluster
+                    <select id="ego-exclude-cluster">
+                        ${option('', 'None', state.excludeCluster === null)}
+                        ${sortedClusters.map(cluster => option(cluster, `Cluster ${cluster}`, cluster === state.excludeCluster)).join('')}
+                    </select>
+                </label>
+                <label>Exclude type
+                    <select id="ego-exclude-type">
+                        ${option('', 'None', state.excludeNodeType === null)}
+                        ${sortedNodeTypes.map(type => option(type, type, type === state.excludeNodeType)).join('')}
+                    </select>
+                </label>
+            </div>
+            <button class="filter-btn${state.active ? ' secondary' : ''}" id="ego-toggle">
+                <i class="fas ${state.active ? 'fa-times' : 'fa-bullseye'}"></i> ${state.active ? 'Exit Neighborhood' : 'Isolate Neighborhood'}
+            </button>
+            ${statsHtml}
+        `;
+    }
+    
+    function apply() {
+        if (state.active && state.center) {
+            state.distances = computeEgoNetwork(graph, state.center, state.depth, {
+                cluster: state.excludeCluster,
+                nodeType: state.excludeNodeType
+            });
+            const distances = state.distances;
+            
+            visibility.setLayer('ego', {
+                node: nodeId => distances.has(nodeId),
+                edge: edgeId => distances.has(graph.source(edgeId)) && distances.has(graph.target(edgeId)),
+                metaNode: () => false
+            });
+            visibility.setOverlay('ego', {
+                node: (nodeId, res) => {
+                    if (distances.has(nodeId)) {
+                        res.color = EGO_HOP_COLORS[distances.get(nodeId)];
+                        res.highlighted = nodeId === state.center;
+                    }
+                }
+            });
+            // The whole neighborhood is shown, not only the center's own channels
+            visibility.setFocus(null);
+        } else {
+            state.distances = new Map();
+            visibility.setLayer('ego', null);
+            visibility.setOverlay('ego', null);
+        }
+        visibility.recompute();
+        renderControls();
+    }
+    
+    /**
+     * Called after a node click; re-centers the neighborhood while it is isolated
+     * @param {string|null} nodeId - Newly selected node, or null when deselected
+     */
+    function handleSelection(nodeId) {
+        if (!nodeId) {
+            if (state.active) exit();
+            state.center = null;
+            return;
+        }
+        state.center = nodeId;
+        if (state.active) {
+            apply();
+        } else {
+            renderControls();
+        }
+    }
+    
+    function exit() {
+        if (!state.active) return;
+        state.active = false;
+        apply();
+    }
+    
+    // Delegated handlers: the controls are re-rendered with the Node Information panel
+    const nodeInfo = document.getElementById('node-info');
+    if (nodeInfo) {
+        nodeInfo.addEventListener('change', (e) => {
+            if (e.target.id === 'ego-depth') {
+                state.depth = Math.min(EGO_MAX_DEPTH, Math.max(1, parseInt(e.target.value) || 1));
+            } else if (e.target.id === 'ego-exclude-cluster') {
+                state.excludeCluster = e.target.value === '' ? null : e.target.value;
+            } else if (e.target.id === 'ego-exclude-type') {
+                state.excludeNodeType = e.target.value === '' ? null : e.target.value;
+            } else {
+                return;
+            }
+            if (state.active) apply();
+        }, listenerOptions);
+        
+        nodeInfo.addEventListener('click', (e) => {
+            if (!e.target.closest('#ego-toggle')) return;
+            state.active = !state.active;
+            apply();
+            // Without the neighborhood, fall back to the regular selection focus
+            if (!state.active && selectedNode) {
+                visibility.setFocus(selectedNode);
+                visibility.recompute();
+            }
+        }, listenerOptions);
+    }
+    
+    return {
+        handleSelection,
+        exit,
+        isActive: () => state.active
+    };
+}
+
+// =============================================================================
+// NETWORK ANALYSIS
+// =============================================================================
+
+/**
+ * Labels connected components, optionally ignoring some nodes and edges
+ * @param {Object} graph - Graphology graph instance
+ * @param {Function} [isNodeActive] - (nodeId) => boolean, inactive nodes are left out
+ * @param {Function} [isEdgeActive] - (edgeId) => boolean, inactive edges are not traversed
+ * @returns {Object} { componentOf: Map(nodeId -> index), sizes: Array, giant: index of the largest }
+ */
+function computeConnectedComponents(graph, isNodeActive = () => true, isEdgeActive = () => true) {
+    const componentOf = new Map();
+    const sizes = [];
+    
+    graph.forEachNode(start => {
+        if (componentOf.has(start) || !isNodeActive(start)) return;
+        
+        const index = sizes.length;
+        const stack = [start];
+        componentOf.set(start, index);
+        let size = 0;
+        
+        while (stack.length > 0) {
+            const current = stack.pop();
+            size++;
+            graph.forEachEdge(current, (edgeId, attributes, source, target) => {
+                const neighbor = source === current ? target : source;
+                if (componentOf.has(neighbor) || !isNodeActive(neighbor) || !isEdgeActive(edgeId)) return;
+                componentOf.set(neighbor, index);
+                stack.push(neighbor);
+            });
+        }
+        sizes.push(size);
+    });
+    
+    let giant = -1;
+    sizes.forEach((size, index) => {
+        if (giant === -1 || size > sizes[giant]) giant = index;
+    });
+    
+    return { componentOf, sizes, giant };
+}
+
+/**
+ * Picks up to `sampleSize` evenly spread BFS sources for estimateAverageShortestPath
+ * @param {Array} nodeIds - Candidate source nodes
+ * @param {number} [sampleSize=100] - Maximum number of sources
+ * @returns {Array} Sampled node ids
+ */
+function samplePathSources(nodeIds, sampleSize = 100) {
+    const step = Math.max(1, Math.floor(nodeIds.length / sampleSize));
+    return nodeIds.filter((nodeId, index) => index % step === 0);
+}
+
+/**
+ * Estimates the average shortest path length (in hops) inside a set of nodes
+ * Runs a BFS from a sample of sources only, so large graphs stay responsive
+ * @param {Object} graph - Graphology graph instance
+ * @param {Array} nodeIds - Nodes of the (connected) component to measure
+ * @param {Function} isEdgeActive - (edgeId) => boolean
+ * @param {Array} [sources] - BFS sources among nodeIds (defaults to samplePathSources(nodeIds))
+ * @returns {number} Average hop distance between reachable pairs (0 when undefined)
+ */
+function estimateAverageShortestPath(graph, nodeIds, isEdgeActive, sources = samplePathSources(nodeIds)) {
+    if (nodeIds.length < 2) return 0;
+    
+    const members = new Set(nodeIds);
+    let totalDistance = 0;
+    let pairCount = 0;
+    
+    for (const sourceId of sources) {
+        const distances = new Map([[sourceId, 0]]);
+        const queue = [sourceId];
+        
+        for (let head = 0; head < queue.length; head++) {
+            const current = queue[head];
+            const distance = distances.get(current);
+            graph.forEachEdge(current, (edgeId, attributes, source, target) => {
+                const neighbor = source === current ? target : source;
+                if (distances.has(neighbor) || !members.has(neighbor) || !isEdgeActive(edgeId)) return;
+                distances.set(neighbor, distance + 1);
+                totalDistance += distance + 1;
+                pairCount++;
+                queue.push(neighbor);
+            });
+        }
+    }
+    
+    return pairCount > 0 ? totalDistance / pairCount : 0;
+}
+
+// =============================================================================
+// WHAT-IF REMOVAL SIMULATOR
+// =============================================================================
+
+// Colors for removed items and the nodes they cut off
+const WHAT_IF_STYLE = {
+    REMOVED: '#DC2626',
+    UNREACHABLE: '#7C3AED'
+};
+
+/**
+ * Compares the network before and after removing nodes and channels
+ * @param {Object} graph - Graphology graph instance
+ * @param {Set} removedNodes - Node ids considered offline
+ * @param {Set} removedEdges - Edge ids considered closed
+ * @param {boolean} [measurePaths=true] - Also estimate average shortest path lengths (slower)
+ * @returns {Object} Before/after component and path statistics, unreachable nodes and stranded capacity
+ */
+function simulateRemoval(graph, removedNodes, removedEdges, measurePaths = true) {
+    const isNetworkNode = nodeId => isNetworkItem(graph.getNodeAttributes(nodeId));
+    const isNetworkEdge = edgeId => isNetworkItem(graph.getEdgeAttributes(edgeId));
+    const isNodeActive = nodeId => isNetworkNode(nodeId) && !removedNodes.has(nodeId);
+    const isEdgeActive = edgeId => isNetworkEdge(edgeId) && !removedEdges.has(edgeId);
+    
+    const before = computeConnectedComponents(graph, isNetworkNode, isNetworkEdge);
+    const after = computeConnectedComponents(graph, isNodeActive, isEdgeActive);
+    
+    const membersOf = (components, index) => {
+        const members = [];
+        components.componentOf.forEach((component, nodeId) => {
+            if (component === index) members.push(nodeId);
+        });
+        return members;
+    };
+    const beforeGiant = membersOf(before, before.giant);
+    const afterGiant = membersOf(after, after.giant);
+    const afterGiantSet = new Set(afterGiant);
+    
+    // Nodes that were in the giant component, are still online, but can no longer reach it
+    const unreachable = beforeGiant.filter(nodeId => !removedNodes.has(nodeId) && !afterGiantSet.has(nodeId));
+    
+    // Capacity of remaining channels that lost their connection to the giant component
+    let strandedCapacity = 0;
+    let strandedChannels = 0;
+    graph.forEachEdge((edgeId, edgeAttributes, source, target) => {
+        if (!isNetworkItem(edgeAttributes) || removedEdges.has(edgeId) || removedNodes.has(source) || removedNodes.has(target)) return;
+        if (before.componentOf.get(source) !== before.giant) return;
+        if (!afterGiantSet.has(source) || !afterGiantSet.has(target)) {
+            strandedCapacity += edgeAttributes.attributes.capacity || 0;
+            strandedChannels++;
+        }
+    });
+    
+    // Both estimates start from the same sources (nodes in both giant components), so the
+    // change reflects the removal rather than a different sample; each side samples its own
+    // only when the giant components share no node
+    const sharedGiant = beforeGiant.filter(nodeId => afterGiantSet.has(nodeId));
+    const pathSources = sharedGiant.length > 0 ? samplePathSources(sharedGiant) : undefined;
+    
+    return {
+        before: {
+            components: before.sizes.length,
+            giantSize: beforeGiant.length,
+            averagePath: measurePaths ? estimateAverageShortestPath(graph, beforeGiant, isNetworkEdge, pathSources) : null
+        },
+        after: {
+            components: after.sizes.length,
+            giantSize: afterGiant.length,
+            averagePath: measurePaths ? estimateAverageShortestPath(graph, afterGiant, isEdgeActive, pathSources) : null
+        },
+        unreachable,
+        strandedCapacity,
+        strandedChannels
+    };
+}
+
+/**
+ * Wires the What-if panel and the "simulate removal" actions in the info panels
+ * @param {Object} graph - Graphology graph instance
+ * @param {Object} renderer - Sigma.js renderer instance
+ * @param {Object} visibility - Visibility manager (results are drawn as an overlay)
+ * @param {Object} listenerOptions - addEventListener options carrying the dataset's abort signal
+ * @returns {Object} Simulator API
+ */
+function createWhatIfSimulator(graph, renderer, visibility, listenerOptions) {
+    const removedNodes = new Set();
+    const removedEdges = new Set();
+    let unreachableNodes = new Set();
+    
+    const listElement = document.getElementById('whatif-removed');
+    const resultsElement = document.getElementById('whatif-results');
+    
+    // Labels are escaped, since they are written into innerHTML
+    function nodeLabel(nodeId) {
+        return escapeXml(graph.getNodeAttribute(nodeId, 'label'));
+    }
+    
+    function edgeLabel(edgeId) {
+        return `${nodeLabel(graph.source(edgeId))} ↔ ${nodeLabel(graph.target(edgeId))}`;
+    }
+    
+    function drawOverlay() {
+        if (removedNodes.size === 0 && removedEdges.size === 0) {
+            visibility.setOverlay('whatif', null);
+        } else {
+            visibility.setOverlay('whatif', {
+                node: (nodeId, res) => {
+                    if (removedNodes.has(nodeId)) {
+                        res.color = WHAT_IF_STYLE.REMOVED;
+                        res.forceLabel = true;
+                    } else if (unreachableNodes.has(nodeId)) {
+                        res.color = WHAT_IF_STYLE.UNREACHABLE;
+                    }
+                },
+                edge: (edgeId, res) => {
+                    if (removedEdges.has(edgeId) || removedNodes.has(graph.source(edgeId)) || removedNodes.has(graph.target(edgeId))) {
+                        res.color = WHAT_IF_STYLE.REMOVED;
+                    }
+                }
+            });
+        }
+        renderer.refresh();
+    }
+    
+    function renderRemovedList() {
+        if (!listElement) return;
+        const items = [
+            ...[...removedNodes].map(nodeId => ({ kind: 'node', id: nodeId, label: nodeLabel(nodeId) })),
+            ...[...removedEdges].map(edgeId => ({ kind: 'edge', id: edgeId, label: edgeLabel(edgeId) }))
+        ];
+        
+        listElement.innerHTML = items.length === 0
+            ? '<div class="route-message">Use "Simulate Removal" on a node or channel to add it here.</div>'
+            : items.map(item => `
+                <div class="whatif-removed-item">
+                    <i class="fas ${item.kind === 'node' ? 'fa-circle' : 'fa-link'}"></i>
+                    <span>${item.label}</span>
+                    <button class="whatif-restore" data-kind="${item.kind}" data-id="${escapeXml(item.id)}" title="Restore">
+                        <i class="fas fa-undo"></i>
+                    </button>
+                </div>
+            `).join('');
+    }
+    
+    /**
+     * Checks a dataset bridge flag against what removing that item alone actually does
+     */
+    function checkFlag(kind, id) {
+        const attrs = kind === 'node' ? graph.getNodeAttributes(id).attributes : graph.getEdgeAttributes(id).attributes;
+        const flagged = kind === 'node'
+            ? (attrs.isImportantBridgeNode ? 'critical bridge' : attrs.isBridgeNode ? 'bridge' : null)
+            : (attrs.isImportantBridgeChannel ? 'critical bridge' : attrs.isBridgeChannel ? 'bridge' : null);
+        
+        const result = kind === 'node'
+            ? simulateRemoval(graph, new Set([id]), new Set(), false)
+            : simulateRemoval(graph, new Set(), new Set([id]), false);
+        const disconnects = result.unreachable.length > 0;
+        
+        const label = kind === 'node' ? nodeLabel(id) : edgeLabel(id);
+        const flagText = flagged ? `flagged as ${flagged}` : 'not flagged';
+        const effectText = disconnects ? `cuts off ${result.unreachable.length} node(s)` : 'disconnects nothing';
+        // A flagged item that disconnects nothing (or the reverse) is worth a second look
+        const consistent = Boolean(flagged) === disconnects;
+        return `<div class="whatif-flag ${consistent ? 'consistent' : 'mismatch'}">
+            ${consistent ? '✔' : '⚠'} ${label}: ${flagText}, alone ${effectText}
+        </div>`;
+    }
+    
+    function run() {
+        if (removedNodes.size === 0 && removedEdges.size === 0) {
+            resultsElement.innerHTML = '<div class="route-message">Nothing marked as removed yet.</div>';
+            return;
+        }
+        
+        const result = simulateRemoval(graph, removedNodes, removedEdges);
+        unreachableNodes = new Set(result.unreachable);
+        drawOverlay();
+        
+        const topUnreachable = result.unreachable
+            .map(nodeId => ({ nodeId, record: graph.getNodeAttribute(nodeId, 'record') || {} }))
+            .sort((a, b) => (b.record.total_capacity || 0) - (a.record.total_capacity || 0))
+            .slice(0, 10)
+            .map(({ nodeId, record }) => `<li>${nodeLabel(nodeId)} (${formatCapacity(record.total_capacity || 0)})</li>`)
+            .join('');
+        
+        const flagChecks = [
+            ...[...removedNodes].map(nodeId => checkFlag('node', nodeId)),
+            ...[...removedEdges].map(edgeId => checkFlag('edge', edgeId))
+        ].join('');
+        
+        resultsElement.innerHTML = `
+            <table class="whatif-table">
+                <tr><th></th><th>Before</th><th>After</th></tr>
+                <tr><td>Components</td><td>${result.before.components}</td><td>${result.after.components}</td></tr>
+                <tr><td>Giant component</td><td>${result.before.giantSize.toLocaleString()}</td><td>${result.after.giantSize.toLocaleString()}</td></tr>
+                <tr><td>Avg. path (hops)</td><td>${result.before.averagePath.toFixed(2)}</td><td>${result.after.averagePath.toFixed(2)}</td></tr>
+            </table>
+            <div><span class="info-label">Unreachable nodes:</span> ${result.unreachable.length.toLocaleString()}</div>
+            <div><span class="info-label">Stranded capacity:</span> ${formatCapacity(result.strandedCapacity)} in ${result.strandedChannels.toLocaleString()} channel(s)</div>
+            ${topUnreachable ? `<ul class="whatif-unreachable">${topUnreachable}</ul>` : ''}
+            <div class="whatif-flags-title">Bridge flag check</div>
+            ${flagChecks}
+        `;
+        console.log('🧪 What-if simulation:', result.before, result.after);
+    }
+    
+    function changed() {
+        unreachableNodes = new Set();
+        if (resultsElement) resultsElement.innerHTML = '';
+        renderRemovedList();
+        drawOverlay();
+    }
+    
+    function toggleNode(nodeId) {
+        if (removedNodes.has(nodeId)) removedNodes.delete(nodeId); else removedNodes.add(nodeId);
+        changed();
+    }
+    
+    function toggleEdge(edgeId) {
+        if (removedEdges.has(edgeId)) removedEdges.delete(edgeId); else removedEdges.add(edgeId);
+        changed();
+    }
+    
+    function reset() {
+        removedNodes.clear();
+        removedEdges.clear();
+        changed();
+    }
+    
+    /**
+     * Appends the "Simulate Removal" action to the Node or Channel Information panel
+     * @param {string} kind - 'node' or 'edge'
+     * @param {string} id - Node or edge id
+     */
+    function renderAction(kind, id) {
+        const panel = document.getElementById(kind === 'node' ? 'node-info' : 'edge-info');
+        if (!panel) return;
+        
+        let container = panel.querySelector('.whatif-action');
+        if (!container) {
+            container = document.createElement('div');
+            container.className = 'whatif-action';
+            panel.appendChild(container);
+        }
+        const removed = kind === 'node' ? removedNodes.has(id) : removedEdges.has(id);
+        container.innerHTML = `
+            <button class="filter-btn secondary whatif-toggle" data-kind="${kind}" data-id="${id}">
+                <i class="fas ${removed ? 'fa-undo' : 'fa-power-off'}"></i> ${removed ? 'Restore in Simulation' : 'Simulate Removal'}
+            </button>
+        `;
+    }
+    
+    // Action buttons inside the info panels (delegated, the panels are re-rendered on every click)
+    ['node-info', 'edge-info'].forEach(panelId => {
+        const panel = document.getElementById(panelId);
+        if (!panel) return;
+        panel.addEventListener('click', (e) => {
+            const button = e.target.closest('.whatif-toggle');
+            if (!button) return;
+            if (button.dataset.kind === 'node') toggleNode(button.dataset.id); else toggleEdge(button.dataset.id);
+            renderAction(button.dataset.kind, button.dataset.id);
+        }, listenerOptions);
+    });
+    
+    if (listElement) {
+        listElement.addEventListener('click', (e) => {
+            const button = e.target.closest('.whatif-restore');
+            if (!button) return;
+            if (button.dataset.kind === 'node') toggleNode(button.dataset.id); else toggleEdge(button.dataset.id);
+        }, listenerOptions);
+    }
+    
+    const runButton = document.getElementById('whatif-run');
+    const resetButton = document.getElementById('whatif-reset');
+    if (runButton) runButton.addEventListener('click', run, listenerOptions);
+    if (resetButton) resetButton.addEventListener('click', reset, listenerOptions);
+    
+    renderRemovedList();
+    if (resultsElement) resultsElement.innerHTML = '';
+    
+    return {
+        renderAction,
+        isNodeRemoved: nodeId => removedNodes.has(nodeId),
+        isEdgeRemoved: edgeId => removedEdges.has(edgeId)
+    };
+}
+
+// =============================================================================
+// BRIDGE DETECTION
+// =============================================================================
+
+// Computed bridges are "critical" when removing them cuts off at least this many nodes
+const COMPUTED_BRIDGE_THRESHOLDS = {
+    IMPORTANT_CUTOFF: 10
+};
+
+/**
+ * Finds articulation points and bridge edges with an iterative Tarjan DFS
+ * Parallel edges between the same pair of nodes are never bridges
+ * @param {Object} graph - Graphology graph instance
+ * @returns {Object} { articulationPoints: Map(nodeId -> nodes cut off), bridges: Map(edgeId -> nodes cut off) }
+ *   "Nodes cut off" is how many nodes end up outside the largest remaining piece of their component
+ */
+function computeArticulationPointsAndBridges(graph) {
+    const discovery = new Map();
+    const low = new Map();
+    const subtreeSize = new Map();
+    const articulationPoints = new Map();
+    const bridges = new Map();
+    let time = 0;
+    
+    graph.forEachNode(root => {
+        if (discovery.has(root)) return;
+        
+        // Subtree sizes of children separated from their parent, per parent node
+        const separatedPieces = new Map();
+        const componentBridges = [];
+        
+        const visit = (nodeId, parentEdge) => {
+            discovery.set(nodeId, time);
+            low.set(nodeId, time);
+            subtreeSize.set(nodeId, 1);
+            time++;
+            return { node: nodeId, parentEdge: parentEdge, edges: graph.edges(nodeId), index: 0 };
+        };
+        const stack = [visit(root, null)];
+        
+        while (stack.length > 0) {
+            const frame = stack[stack.length - 1];
+            
+            if (frame.index < frame.edges.length) {
+                const edgeId = frame.edges[frame.index++];
+                if (edgeId === frame.parentEdge) continue;
+                const neighbor = graph.opposite(frame.node, edgeId);
+                if (neighbor === frame.node) continue;
+                
+                if (!discovery.has(neighbor)) {
+                    stack.push(visit(neighbor, edgeId));
+                } else {
+                    low.set(frame.node, Math.min(low.get(frame.node), discovery.get(neighbor)));
+                }
+                continue;
+            }
+            
+            // All edges explored: propagate to the DFS parent
+            stack.pop();
+            if (stack.length === 0) continue;
+            
+            const parent = stack[stack.length - 1].node;
+            const child = frame.node;
+            low.set(parent, Math.min(low.get(parent), low.get(child)));
+            subtreeSize.set(parent, subtreeSize.get(parent) + subtreeSize.get(child));
+            
+            if (low.get(child) > discovery.get(parent)) {
+                componentBridges.push({ edgeId: frame.parentEdge, size: subtreeSize.get(child) });
+            }
+            if (low.get(child) >= discovery.get(parent)) {
+                if (!separatedPieces.has(parent)) separatedPieces.set(parent, []);
+                separatedPieces.get(parent).push(subtreeSize.get(child));
+            }
+        }
+        
+        const componentSize = subtreeSize.get(root);
+        
+        separatedPieces.forEach((pieces, nodeId) => {
+            let allPieces = pieces;
+            if (nodeId === root) {
+                // The DFS root is an articulation point only with two or more children
+                if (pieces.length < 2) return;
+            } else {
+                const rest = componentSize - 1 - pieces.reduce((sum, size) => sum + size, 0);
+                allPieces = pieces.concat(rest);
+            }
+            articulationPoints.set(nodeId, componentSize - 1 - Math.max(...allPieces));
+        });
+        
+        componentBridges.forEach(({ edgeId, size }) => {
+            bridges.set(edgeId, Math.min(size, componentSize - size));
+        });
+    });
+    
+    return { articulationPoints, bridges };
+}
+
+/**
+ * Runs bridge detection after graph construction
+ * Fills the bridge flags (and borders/edge colors) when the dataset does not provide them,
+ * otherwise compares the dataset flags with the computed structure
+ * @param {Object} graph - Graphology graph instance
+ * @returns {Object} Report consumed by renderBridgeReport
+ */
+function applyComputedBridgeFlags(graph) {
+    const { articulationPoints, bridges } = computeArticulationPointsAndBridges(graph);
+    
+    let datasetHasNodeFlags = false;
+    let datasetHasEdgeFlags = false;
+    graph.forEachNode((nodeId, nodeAttributes) => {
+        const record = nodeAttributes.record;
+        if (record.is_bridge_node !== undefined || record.is_important_bridge_node !== undefined) {
+            datasetHasNodeFlags = true;
+        }
+    });
+    graph.forEachEdge((edgeId, edgeAttributes) => {
+        const record = edgeAttributes.record;
+        if (record.is_bridge_channel !== undefined || record.is_important_bridge_channel !== undefined) {
+            datasetHasEdgeFlags = true;
+        }
+    });
+    
+    const report = {
+        nodes: { provided: datasetHasNodeFlags, computed: articulationPoints.size, critical: 0, flagged: 0, both: 0, datasetOnly: [], computedOnly: [] },
+        edges: { provided: datasetHasEdgeFlags, computed: bridges.size, critical: 0, flagged: 0, both: 0, datasetOnly: [], computedOnly: [] }
+    };
+    
+    graph.forEachNode((nodeId, nodeAttributes) => {
+        const attrs = nodeAttributes.attributes;
+        const isArticulation = articulationPoints.has(nodeId);
+        const cutOff = articulationPoints.get(nodeId) || 0;
+        const isCritical = isArticulation && cutOff >= COMPUTED_BRIDGE_THRESHOLDS.IMPORTANT_CUTOFF;
+        if (isCritical) report.nodes.critical++;
+        
+        if (!datasetHasNodeFlags) {
+            attrs.isBridgeNode = isArticulation;
+            attrs.isImportantBridgeNode = isCritical;
+            attrs.bridgeSource = 'computed';
+            nodeAttributes.record.is_bridge_node = isArticulation;
+            nodeAttributes.record.is_important_bridge_node = isCritical;
+            graph.mergeNodeAttributes(nodeId, {
+                borderColor: isCritical ? BRIDGE_NODE_CONFIG.IMPORTANT_BRIDGE.borderColor :
+                             isArticulation ? BRIDGE_NODE_CONFIG.REGULAR_BRIDGE.borderColor : undefined,
+                borderSize: isCritical ? BRIDGE_NODE_CONFIG.IMPORTANT_BRIDGE.borderWidth :
+                            isArticulation ? BRIDGE_NODE_CONFIG.REGULAR_BRIDGE.borderWidth : 0
+            });
+            return;
+        }
+        
+        const flagged = Boolean(attrs.isBridgeNode || attrs.isImportantBridgeNode);
+        if (flagged) report.nodes.flagged++;
+        if (flagged && isArticulation) report.nodes.both++;
+        if (flagged && !isArticulation) report.nodes.datasetOnly.push({ id: nodeId, cutOff: 0 });
+        if (!flagged && isArticulation) report.nodes.computedOnly.push({ id: nodeId, cutOff: cutOff });
+    });
+    
+    graph.forEachEdge((edgeId, edgeAttributes) => {
+        const attrs = edgeAttributes.attributes;
+        const isBridge = bridges.has(edgeId);
+        const cutOff = bridges.get(edgeId) || 0;
+        const isCritical = isBridge && cutOff >= COMPUTED_BRIDGE_THRESHOLDS.IMPORTANT_CUTOFF;
+        if (isCritical) report.edges.critical++;
+        
+        if (!datasetHasEdgeFlags) {
+            attrs.isBridgeChannel = isBridge;
+            attrs.isImportantBridgeChannel = isCritical;
+            attrs.bridgeSource = 'computed';
+            edgeAttributes.record.is_bridge_channel = isBridge;
+            edgeAttributes.record.is_important_bridge_channel = isCritical;
+            graph.setEdgeAttribute(edgeId, 'color', getEdgeColor(edgeAttributes.record));
+            return;
+        }
+        
+        const flagged = Boolean(attrs.isBridgeChannel || attrs.isImportantBridgeChannel);
+        if (flagged) report.edges.flagged++;
+        if (flagged && isBridge) report.edges.both++;
+        if (flagged && !isBridge) report.edges.datasetOnly.push({ id: edgeId, cutOff: 0 });
+        if (!flagged && isBridge) report.edges.computedOnly.push({ id: edgeId, cutOff: cutOff });
+    });
+    
+    // Largest structural bridges first
+    report.nodes.computedOnly.sort((a, b) => b.cutOff - a.cutOff);
+    report.edges.computedOnly.sort((a, b) => b.cutOff - a.cutOff);
+    
+    console.log(`🌉 Bridge detection: ${articulationPoints.size} articulation points, ${bridges.size} bridge channels`);
+    return report;
+}
+
+/**
+ * Renders the bridge detection report in the Bridge Analysis panel
+ * @param {Object} graph - Graphology graph instance
+ * @param {Object} report - Report from applyComputedBridgeFlags
+ */
+function renderBridgeReport(graph, report) {
+    const element = document.getElementById('bridge-report');
+    if (!element) return;
+    
+    const nodeLabel = nodeId => escapeXml(graph.getNodeAttribute(nodeId, 'label'));
+    const edgeLabel = edgeId => `${nodeLabel(graph.source(edgeId))} ↔ ${nodeLabel(graph.target(edgeId))}`;
+    
+    function section(title, stats, labelOf, noun) {
+        if (!stats.provided) {
+            return `
+                <div class="bridge-report-section">
+                    <div class="bridge-report-title">${title}</div>
+                    <div class="bridge-report-note">Not provided by the dataset — computed in the browser.</div>
+                    <div><span class="info-label">${noun}:</span> ${stats.computed.toLocaleString()}</div>
+                    <div><span class="info-label">Critical (cut off ≥ ${COMPUTED_BRIDGE_THRESHOLDS.IMPORTANT_CUTOFF} nodes):</span> ${stats.critical.toLocaleString()}</div>
+                </div>
+            `;
+        }
+        
+        const list = (items, withCutOff) => items.slice(0, 5)
+            .map(item => `<li>${labelOf(item.id)}${withCutOff ? ` (cuts off ${item.cutOff})` : ''}</li>`)
+            .join('');
+        
+        return `
+            <div class="bridge-report-section">
+                <div class="bridge-report-title">${title}</div>
+                <table class="bridge-report-table">
+                    <tr><td>Flagged in dataset</td><td>${stats.flagged.toLocaleString()}</td></tr>
+                    <tr><td>${noun} (computed)</td><td>${stats.computed.toLocaleString()}</td></tr>
+                    <tr><td>Both</td><td>${stats.both.toLocaleString()}</td></tr>
+                    <tr><td>Dataset only</td><td>${stats.datasetOnly.length.toLocaleString()}</td></tr>
+                    <tr><td>Computed only</td><td>${stats.computedOnly.length.toLocaleString()}</td></tr>
+                </table>
+                ${stats.computedOnly.length > 0 ? `<div class="bridge-report-note">Largest computed-only:</div><ul>${list(stats.computedOnly, true)}</ul>` : ''}
+                ${stats.datasetOnly.length > 0 ? `<div class="bridge-report-note">Flagged but not structural:</div><ul>${list(stats.datasetOnly, false)}</ul>` : ''}
+            </div>
+        `;
+    }
+    
+    element.innerHTML = `
+        ${section('Nodes', report.nodes, nodeLabel, 'Articulation points')}
+        ${section('Channels', report.edges, edgeLabel, 'Bridge channels')}
+        <div class="bridge-report-note">
+            Dataset flags mark nodes and channels connecting clusters; computed flags mark articulation
+            points and bridges, whose removal disconnects the graph. Differences are expected.
+        </div>
+    `;
+}
+
+// =============================================================================
+// COMMUNITY DETECTION
+// =============================================================================
+
+const COMMUNITY_CONFIG = {
+    DEFAULT_RESOLUTION: 1,
+    LABEL_PROPAGATION_MAX_ITERATIONS: 50
+};
+
+/**
+ * Builds an undirected simple copy of the graph, merging parallel and reciprocal edges
+ * Only nodes and channels of the current network are copied (see isNetworkItem)
+ * @param {Object} graph - Graphology graph instance
+ * @returns {Object} Graphology UndirectedGraph (edge attribute "weight" counts merged edges)
+ */
+function buildUndirectedCopy(graph) {
+    const undirected = new graphology.UndirectedGraph();
+    graph.forEachNode((nodeId, nodeAttributes) => {
+        if (isNetworkItem(nodeAttributes)) undirected.addNode(nodeId);
+    });
+    graph.forEachEdge((edgeId, edgeAttributes, source, target) => {
+        if (source === target || !isNetworkItem(edgeAttributes)) return;
+        if (undirected.hasEdge(source, target)) {
+            undirected.updateEdgeAttribute(source, target, 'weight', weight => weight + 1);
+        } else {
+            undirected.addEdge(source, target, { weight: 1 });
+        }
+    });
+    return undirected;
+}
+
+/**
+ * Renumbers communities by size (largest first) so palette slots stay stable between runs
+ * @param {Map} assignment - nodeId -> community label
+ * @returns {Map} nodeId -> cluster index
+ */
+function normalizeCommunities(assignment) {
+    const sizes = new Map();
+    assignment.forEach(label => sizes.set(label, (sizes.get(label) || 0) + 1));
+    const order = [...sizes.keys()].sort((a, b) => sizes.get(b) - sizes.get(a));
+    const index = new Map(order.map((label, i) => [label, i]));
+    
+    const normalized = new Map();
+    assignment.forEach((label, nodeId) => normalized.set(nodeId, index.get(label)));
+    return normalized;
+}
+
+/**
+ * Computes the modularity of a community assignment
+ * @param {Object} undirected - Graph from buildUndirectedCopy
+ * @param {Map} assignment - nodeId -> cluster index
+ * @returns {number} Modularity
+ */
+function computeModularity(undirected, assignment) {
+    let totalWeight = 0;
+    const internalWeight = new Map();
+    const degreeWeight = new Map();
+    
+    undirected.forEachEdge((edgeId, attrs, source, target) => {
+        const weight = attrs.weight;
+        totalWeight += weight;
+        const sourceCluster = assignment.get(source);
+        const targetCluster = assignment.get(target);
+        degreeWeight.set(sourceCluster, (degreeWeight.get(sourceCluster) || 0) + weight);
+        degreeWeight.set(targetCluster, (degreeWeight.get(targetCluster) || 0) + weight);
+        if (sourceCluster === targetCluster) {
+            internalWeight.set(sourceCluster, (internalWeight.get(sourceCluster) || 0) + weight);
+        }
+    });
+    if (totalWeight === 0) return 0;
+    
+    let modularity = 0;
+    degreeWeight.forEach((degree, cluster) => {
+        modularity += (internalWeight.get(cluster) || 0) / totalWeight -
+                      Math.pow(degree / (2 * totalWeight), 2);
+    });
+    return modularity;
+}
+
+/**
+ * Detects communities with Louvain (graphology-library)
+ * @param {Object} undirected - Graph from buildUndirectedCopy
+ * @param {number} resolution - Higher values produce more, smaller communities
+ * @returns {Map} nodeId -> community label
+ */
+function detectCommunitiesLouvain(undirected, resolution) {
+    const louvain = window.graphologyLibrary?.communitiesLouvain;
+    if (!louvain) {
+        throw new Error('Louvain is not available: graphology-library failed to load');
+    }
+    const communities = louvain(undirected, { resolution: resolution, getEdgeWeight: 'weight' });
+    return new Map(Object.entries(communities));
+}
+
+/**
+ * Detects communities with asynchronous label propagation
+ * Each node repeatedly adopts the label carried by most of its neighbors (edge-weighted)
+ * @param {Object} undirected - Graph from buildUndirectedCopy
+ * @returns {Map} nodeId -> community label
+ */
+function detectCommunitiesLabelPropagation(undirected) {
+    const labels = new Map();
+    const order = undirected.nodes();
+    order.forEach((nodeId, i) => labels.set(nodeId, i));
+    
+    for (let iteration = 0; iteration < COMMUNITY_CONFIG.LABEL_PROPAGATION_MAX_ITERATIONS; iteration++) {
+        // Visit nodes in random order to avoid oscillation
+        for (let i = order.length - 1; i > 0; i--) {
+            const j = Math.floor(Math.random() * (i + 1));
+            [order[i], order[j]] = [order[j], order[i]];
+        }
+        
+        let changed = false;
+        order.forEach(nodeId => {
+            const votes = new Map();
+            undirected.forEachEdge(nodeId, (edgeId, attrs, source, target) => {
+                const label = labels.get(source === nodeId ? target : source);
+                votes.set(label, (votes.get(label) || 0) + attrs.weight);
+            });
+            if (votes.size === 0) return;
+            
+            let bestVotes = 0;
+            let candidates = [];
+            votes.forEach((count, label) => {
+                if (count > bestVotes) {
+                    bestVotes = count;
+                    candidates = [label];
+                } else if (count === bestVotes) {
+                    candidates.push(label);
+                }
+            });
+            
+            // Keep the current label when it is among the best ones
+            if (candidates.includes(labels.get(nodeId))) return;
+            labels.set(nodeId, candidates[Math.floor(Math.random() * candidates.length)]);
+            changed = true;
+        });
+        
+        if (!changed) break;
+    }
+    
+    return labels;
+}
+
+/**
+ * Recomputes the inter-cluster statistics after a cluster change:
+ * bridges_clusters / cluster_connections on nodes and connects_clusters on channels
+ * Bridge flags taken from the dataset follow the dataset's rule (a node touching two or more
+ * clusters, a channel between clusters); structurally computed flags and critical flags are kept
+ * @param {Object} graph - Graphology graph instance
+ */
+function recomputeClusterStatistics(graph) {
+    graph.forEachNode((nodeId, nodeAttributes) => {
+        if (!isNetworkItem(nodeAttributes)) return;
+        const attrs = nodeAttributes.attributes;
+        const touched = new Set();
+        if (attrs.cluster !== undefined && attrs.cluster !== null) touched.add(attrs.cluster);
+        graph.forEachEdge(nodeId, (edgeId, edgeAttributes, source, target) => {
+            const neighborAttributes = graph.getNodeAttributes(source === nodeId ? target : source);
+            if (!isNetworkItem(edgeAttributes) || !isNetworkItem(neighborAttributes)) return;
+            const cluster = neighborAttributes.attributes.cluster;
+            if (cluster !== undefined && cluster !== null) touched.add(cluster);
+        });
+        
+        const bridgesClusters = touched.size > 1 ? [...touched].sort((a, b) => a - b) : [];
+        attrs.bridgesClusters = bridgesClusters;
+        attrs.clusterConnections = touched.size;
+        nodeAttributes.record.bridges_clusters = bridgesClusters;
+        nodeAttributes.record.cluster_connections = touched.size;
+        
+        if (attrs.bridgeSource !== 'computed') {
+            attrs.isBridgeNode = touched.size > 1 || attrs.isImportantBridgeNode;
+            nodeAttributes.record.is_bridge_node = attrs.isBridgeNode;
+            graph.mergeNodeAttributes(nodeId, {
+                borderColor: attrs.isImportantBridgeNode ? BRIDGE_NODE_CONFIG.IMPORTANT_BRIDGE.borderColor :
+                             attrs.isBridgeNode ? BRIDGE_NODE_CONFIG.REGULAR_BRIDGE.borderColor : undefined,
+                borderSize: attrs.isImportantBridgeNode ? BRIDGE_NODE_CONFIG.IMPORTANT_BRIDGE.borderWidth :
+                            attrs.isBridgeNode ? BRIDGE_NODE_CONFIG.REGULAR_BRIDGE.borderWidth : 0
+            });
+        }
+    });
+    
+    graph.forEachEdge((edgeId, edgeAttributes, source, target, sourceAttributes, targetAttributes) => {
+        if (!isNetworkItem(edgeAttributes)) return;
+        const attrs = edgeAttributes.attributes;
+        const sourceCluster = sourceAttributes.attributes.cluster;
+        const targetCluster = targetAttributes.attributes.cluster;
+        const connectsClusters = sourceCluster !== undefined && sourceCluster !== null &&
+                                 targetCluster !== undefined && targetCluster !== null &&
+                                 sourceCluster !== targetCluster
+            ? `${sourceCluster}-${targetCluster}`
+            : null;
+        attrs.connectsClusters = connectsClusters;
+        edgeAttributes.record.connects_clusters = connectsClusters;
+        
+        if (attrs.bridgeSource !== 'computed') {
+            attrs.isBridgeChannel = connectsClusters !== null || attrs.isImportantBridgeChannel;
+            edgeAttributes.record.is_bridge_channel = attrs.isBridgeChannel;
+            graph.setEdgeAttribute(edgeId, 'color', getEdgeColor(edgeAttributes.record));
+        }
+    });
+}
+
+/**
+ * Wires the Communities panel: switches node clusters between the dataset and
+ * in-browser community detection (Louvain or label propagation)
+ * @param {Object} graph - Graphology graph instance
+ * @param {Object} visibility - Visibility manager (recomputed after reclustering)
+ * @param {Object} listenerOptions - addEventListener options carrying the dataset's abort signal
+ */
+function setupCommunityDetection(graph, visibility, listenerOptions) {
+    const sourceSelect = document.getElementById('community-source');
+    const resolutionInput = document.getElementById('community-resolution');
+    const resolutionValue = document.getElementById('community-resolution-value');
+    const runButton = document.getElementById('community-run');
+    const summaryElement = document.getElementById('community-summary');
+    if (!sourceSelect || !runButton) return;
+    
+    // Snapshot of the dataset's clustering, restored when switching back
+    const datasetNodes = new Map();
+    const datasetEdges = new Map();
+    graph.forEachNode((nodeId, nodeAttributes) => {
+        const attrs = nodeAttributes.attributes;
+        datasetNodes.set(nodeId, {
+            cluster: attrs.cluster,
+            bridgesClusters: attrs.bridgesClusters,
+            clusterConnections: attrs.clusterConnections,
+            isBridgeNode: attrs.isBridgeNode,
+            color: nodeAttributes.color,
+            borderColor: nodeAttributes.borderColor,
+            borderSize: nodeAttributes.borderSize
+        });
+    });
+    graph.forEachEdge((edgeId, edgeAttributes) => {
+        const attrs = edgeAttributes.attributes;
+        datasetEdges.set(edgeId, {
+            connectsClusters: attrs.connectsClusters,
+            isBridgeChannel: attrs.isBridgeChannel,
+            color: edgeAttributes.color
+        });
+    });
+    
+    function restoreDatasetClusters() {
+        graph.forEachNode((nodeId, nodeAttributes) => {
+            const saved = datasetNodes.get(nodeId);
+            if (!saved) return;
+            const attrs = nodeAttributes.attributes;
+            attrs.cluster = saved.cluster;
+            attrs.bridgesClusters = saved.bridgesClusters;
+            attrs.clusterConnections = saved.clusterConnections;
+            attrs.isBridgeNode = saved.isBridgeNode;
+            nodeAttributes.record.cluster = saved.cluster;
+            nodeAttributes.record.bridges_clusters = saved.bridgesClusters;
+            nodeAttributes.record.cluster_connections = saved.clusterConnections;
+            nodeAttributes.record.is_bridge_node = saved.isBridgeNode;
+            graph.mergeNodeAttributes(nodeId, {
+                color: saved.color,
+                borderColor: saved.borderColor,
+                borderSize: saved.borderSize
+            });
+        });
+        graph.forEachEdge((edgeId, edgeAttributes) => {
+            const saved = datasetEdges.get(edgeId);
+            if (!saved) return;
+            edgeAttributes.attributes.connectsClusters = saved.connectsClusters;
+            edgeAttributes.attributes.isBridgeChannel = saved.isBridgeChannel;
+            edgeAttributes.record.connects_clusters = saved.connectsClusters;
+            edgeAttributes.record.is_bridge_channel = saved.isBridgeChannel;
+            graph.setEdgeAttribute(edgeId, 'color', saved.color);
+        });
+    }
+    
+    function datasetAssignment() {
+        const assignment = new Map();
+        datasetNodes.forEach((saved, nodeId) => assignment.set(nodeId, saved.cluster));
+        return assignment;
+    }
+    
+    function applyAssignment(assignment) {
+        graph.forEachNode((nodeId, nodeAttributes) => {
+            if (!isNetworkItem(nodeAttributes)) return;
+            const cluster = assignment.get(nodeId);
+            nodeAttributes.attributes.cluster = cluster;
+            nodeAttributes.record.cluster = cluster;
+            graph.setNodeAttribute(nodeId, 'color', getClusterColor(cluster));
+        });
+        recomputeClusterStatistics(graph);
+    }
+    
+    function renderSummary(label, modularity) {
+        if (!summaryElement) return;
+        
+        const sizes = new Map();
+        let bridgeNodes = 0;
+        graph.forEachNode((nodeId, nodeAttributes) => {
+            if (!isNetworkItem(nodeAttributes)) return;
+            const attrs = nodeAttributes.attributes;
+            if (attrs.cluster !== undefined && attrs.cluster !== null) {
+                sizes.set(attrs.cluster, (sizes.get(attrs.cluster) || 0) + 1);
+            }
+            if (attrs.isBridgeNode) bridgeNodes++;
+        });
+        let interClusterChannels = 0;
+        graph.forEachEdge((edgeId, edgeAttributes) => {
+            if (isNetworkItem(edgeAttributes) && edgeAttributes.attributes.connectsClusters) interClusterChannels++;
+        });
+        const largest = sizes.size > 0 ? Math.max(...sizes.values()) : 0;
+        
+        summaryElement.innerHTML = `
+            <div><span class="info-label">Source:</span> ${label}</div>
+            <div><span class="info-label">Communities:</span> ${sizes.size.toLocaleString()}</div>
+            <div><span class="info-label">Largest:</span> ${largest.toLocaleString()} nodes</div>
+            <div><span class="info-label">Modularity:</span> ${modularity.toFixed(3)}</div>
+            <div><span class="info-label">Inter-cluster channels:</span> ${interClusterChannels.toLocaleString()}</div>
+            <div><span class="info-label">Bridge nodes:</span> ${bridgeNodes.toLocaleString()}</div>
+        `;
+    }
+    
+    function run() {
+        const source = sourceSelect.value;
+        const resolution = parseFloat(resolutionInput?.value) || COMMUNITY_CONFIG.DEFAULT_RESOLUTION;
+        
+        try {
+            const undirected = buildUndirectedCopy(graph);
+            if (source === 'dataset') {
+                restoreDatasetClusters();
+                renderSummary('Dataset', computeModularity(undirected, datasetAssignment()));
+            } else {
+                const start = performance.now();
+                const assignment = normalizeCommunities(source === 'louvain'
+                    ? detectCommunitiesLouvain(undirected, resolution)
+                    : detectCommunitiesLabelPropagation(undirected));
+                applyAssignment(assignment);
+                renderSummary(source === 'louvain' ? `Louvain (resolution ${resolution})` : 'Label propagation',
+                              computeModularity(undirected, assignment));
+                console.log(`🎨 ${source} communities computed in ${Math.round(performance.now() - start)} ms`);
+            }
+        } catch (error) {
+            console.error('Community detection failed:', error);
+            if (summaryElement) {
+                summaryElement.innerHTML = `<div class="route-message">${error.message}</div>`;
+            }
+            return;
+        }
+        
+        // Inter-cluster filters, the selection highlight and collapsed clusters depend on clusters
+        if (currentClusterCollapse) currentClusterCollapse.rebuild();
+        visibility.recompute();
+    }
+    
+    function syncControls() {
+        if (resolutionInput) resolutionInput.disabled = sourceSelect.value !== 'louvain';
+        if (resolutionValue && resolutionInput) resolutionValue.textContent = resolutionInput.value;
+    }
+    
+    sourceSelect.value = 'dataset';
+    syncControls();
+    renderSummary('Dataset', computeModularity(buildUndirectedCopy(graph), datasetAssignment()));
+    
+    sourceSelect.addEventListener('change', syncControls, listenerOptions);
+    if (resolutionInput) resolutionInput.addEventListener('input', syncControls, listenerOptions);
+    runButton.addEventListener('click', run, listenerOptions);
+}
+
+// =============================================================================
+// SNAPSHOT DIFF
+// =============================================================================
+
+const SNAPSHOT_DIFF_STYLE = {
+    NEW: '#16A34A',        // Nodes and channels only in the loaded snapshot
+    CLOSED: '#DC2626',     // Nodes and channels only in the earlier snapshot
+    CHANGED: '#F59E0B',    // Capacity/rank changed, or channels opened/closed between two peers
+    UNCHANGED: '#E5E7EB'
+};
+
+const SNAPSHOT_DIFF_DEFAULTS = {
+    CAPACITY_CHANGE_PERCENT: 10,
+    RANK_CHANGE: 50
+};
+
+/**
+ * Builds the stable key of a peer pair from both public keys
+ * @param {string} pubKeyA - First public key
+ * @param {string} pubKeyB - Second public key
+ * @returns {string} Order-independent pair key
+ */
+function getPeerPairKey(pubKeyA, pubKeyB) {
+    return pubKeyA < pubKeyB ? `${pubKeyA}|${pubKeyB}` : `${pubKeyB}|${pubKeyA}`;
+}
+
+/**
+ * Indexes one snapshot for matching: node ids are not stable across snapshots,
+ * public keys and channel short IDs (birth_tx) are
+ * @param {Array} nodes - Mapped node records
+ * @param {Array} edges - Mapped edge records
+ * @returns {Object} { nodesByPubKey, pubKeyOf, edgesByPair, channels: Map(scid -> capacity), tiers, totalCapacity }
+ */
+function indexSnapshot(nodes, edges) {
+    const nodesByPubKey = new Map();
+    const pubKeyOf = new Map();
+    nodes.forEach(node => {
+        const pubKey = node.pub_key || node.id;
+        nodesByPubKey.set(pubKey, node);
+        pubKeyOf.set(node.id, pubKey);
+    });
+    
+    const edgesByPair = new Map();
+    const channels = new Map();
+    const tiers = new Set();
+    let totalCapacity = 0;
+    edges.forEach(edge => {
+        const sourceKey = pubKeyOf.get(edge.source);
+        const targetKey = pubKeyOf.get(edge.target);
+        if (sourceKey === undefined || targetKey === undefined) return;
+        
+        edgesByPair.set(getPeerPairKey(sourceKey, targetKey), edge);
+        (edge.channels || []).forEach(channel => {
+            if (channel.birth_tx) channels.set(channel.birth_tx, channel.capacity || 0);
+            if (channel.tier) tiers.add(channel.tier);
+        });
+        totalCapacity += edge.capacity || 0;
+    });
+    
+    return { nodesByPubKey, pubKeyOf, edgesByPair, channels, tiers, totalCapacity };
+}
+
+/**
+ * Compares two snapshots of the same tier
+ * Channels are matched by birth_tx short channel ID; peer pairs without channel details by public keys
+ * @param {Object} current - { nodes, edges } mapped records of the loaded snapshot
+ * @param {Object} previous - { nodes, edges } mapped records of the earlier snapshot
+ * @param {Object} thresholds - { capacityPercent, rank } minimum changes to flag a node as changed
+ * @returns {Object} Diff with node/edge statuses, snapshot-only records and totals
+ */
+function computeSnapshotDiff(current, previous, thresholds) {
+    const now = indexSnapshot(current.nodes, current.edges);
+    const before = indexSnapshot(previous.nodes, previous.edges);
+    
+    // Nodes: new, changed or unchanged by public key; closed when only in the earlier snapshot
+    const nodeStatus = new Map();
+    const changedNodes = [];
+    now.nodesByPubKey.forEach((node, pubKey) => {
+        const earlier = before.nodesByPubKey.get(pubKey);
+        if (!earlier) {
+            nodeStatus.set(node.id, 'new');
+            return;
+        }
+        
+        const capacityBefore = earlier.total_capacity || 0;
+        const capacityNow = node.total_capacity || 0;
+        const capacityPercent = capacityBefore > 0
+            ? Math.abs(capacityNow - capacityBefore) / capacityBefore * 100
+            : (capacityNow > 0 ? Infinity : 0);
+        const rankDelta = typeof node.pleb_rank === 'number' && typeof earlier.pleb_rank === 'number'
+            ? node.pleb_rank - earlier.pleb_rank
+            : 0;
+        
+        if (capacityPercent > thresholds.capacityPercent || Math.abs(rankDelta) > thresholds.rank) {
+            nodeStatus.set(node.id, 'changed');
+            changedNodes.push({ id: node.id, capacityDelta: capacityNow - capacityBefore, rankDelta });
+        } else {
+            nodeStatus.set(node.id, 'unchanged');
+        }
+    });
+    const closedNodes = [];
+    before.nodesByPubKey.forEach((node, pubKey) => {
+        if (!now.nodesByPubKey.has(pubKey)) closedNodes.push(node);
+    });
+    
+    // Channels by short channel ID
+    const openedChannels = [];
+    const closedChannels = [];
+    now.channels.forEach((capacity, scid) => {
+        if (!before.channels.has(scid)) openedChannels.push({ scid, capacity });
+    });
+    before.channels.forEach((capacity, scid) => {
+        if (!now.channels.has(scid)) closedChannels.push({ scid, capacity });
+    });
+    
+    // Peer pairs: new when every channel is new, changed when any channel opened or closed
+    const edgeStatus = new Map();
+    now.edgesByPair.forEach((edge, pairKey) => {
+        const earlier = before.edgesByPair.get(pairKey);
+        if (!earlier) {
+            edgeStatus.set(edge.id, 'new');
+            return;
+        }
+        const scidsNow = (edge.channels || []).map(channel => channel.birth_tx).filter(Boolean);
+        const scidsBefore = (earlier.channels || []).map(channel => channel.birth_tx).filter(Boolean);
+        const changed = scidsNow.some(scid => !before.channels.has(scid)) ||
+                        scidsBefore.some(scid => !now.channels.has(scid));
+        edgeStatus.set(edge.id, changed ? 'changed' : 'unchanged');
+    });
+    const closedEdges = [];
+    before.edgesByPair.forEach((edge, pairKey) => {
+        if (!now.edgesByPair.has(pairKey)) closedEdges.push(edge);
+    });
+    
+    changedNodes.sort((a, b) => Math.abs(b.capacityDelta) - Math.abs(a.capacityDelta));
+    
+    return {
+        nodeStatus,
+        edgeStatus,
+        changedNodes,
+        closedNodes,
+        closedEdges,
+        openedChannels,
+        closedChannels,
+        previousPubKeyOf: before.pubKeyOf,
+        previousNodes: previous.nodes,
+        totals: { before: before.totalCapacity, now: now.totalCapacity },
+        sameTier: now.tiers.size === before.tiers.size && [...now.tiers].every(tier => before.tiers.has(tier))
+    };
+}
+
+/**
+ * Wires the Snapshot Diff panel: loads an earlier snapshot, adds its closed nodes and channels
+ * to the graph (the union of both snapshots) and colors new, closed and changed items
+ * @param {Object} graph - Graphology graph instance
+ * @param {Object} visibility - Visibility manager (the diff is drawn as an overlay)
+ * @param {Object} current - { nodes, edges } mapped records of the loaded snapshot
+ * @param {Object} sizeCalculators - Size calculators of the loaded snapshot
+ * @param {Object} listenerOptions - addEventListener options carrying the dataset's abort signal
+ */
+function setupSnapshotDiff(graph, visibility, current, sizeCalculators, listenerOptions) {
+    const pathInput = document.getElementById('snapshot-path');
+    const capacityInput = document.getElementById('snapshot-capacity-threshold');
+    const rankInput = document.getElementById('snapshot-rank-threshold');
+    const compareButton = document.getElementById('snapshot-compare');
+    const clearButton = document.getElementById('snapshot-clear');
+    const summaryElement = document.getElementById('snapshot-summary');
+    if (!pathInput || !compareButton) return;
+    
+    let previous = null;      // { path, nodes, edges }
+    let addedNodes = [];
+    let addedEdges = [];
+    
+    const currentIdByPubKey = new Map();
+    current.nodes.forEach(node => currentIdByPubKey.set(node.pub_key || node.id, node.id));
+    
+    function removeSnapshotItems() {
+        addedEdges.forEach(edgeId => { if (graph.hasEdge(edgeId)) graph.dropEdge(edgeId); });
+        addedNodes.forEach(nodeId => { if (graph.hasNode(nodeId)) graph.dropNode(nodeId); });
+        addedEdges = [];
+        addedNodes = [];
+    }
+    
+    /**
+     * Adds the earlier snapshot's closed nodes and channels, placing closed nodes
+     * at the centroid of their surviving peers, or at their earlier position
+     * shifted like the nodes present in both snapshots
+     */
+    function addSnapshotItems(diff) {
+        const graphIdOf = previousId => {
+            const pubKey = diff.previousPubKeyOf.get(previousId);
+            return currentIdByPubKey.get(pubKey) || `snapshot:${pubKey}`;
+        };
+        
+        let offsetX = 0;
+        let offsetY = 0;
+        let matched = 0;
+        diff.previousNodes.forEach(node => {
+            const nodeId = currentIdByPubKey.get(node.pub_key || node.id);
+            if (node.x === undefined || node.y === undefined || !nodeId || !graph.hasNode(nodeId)) return;
+            offsetX += graph.getNodeAttribute(nodeId, 'x') - node.x;
+            offsetY += graph.getNodeAttribute(nodeId, 'y') - node.y;
+            matched++;
+        });
+        if (matched > 0) {
+            offsetX /= matched;
+            offsetY /= matched;
+        }
+        
+        const previousNeighbors = new Map();
+        diff.closedEdges.forEach(edge => {
+            [[edge.source, edge.target], [edge.target, edge.source]].forEach(([nodeId, peerId]) => {
+                if (!previousNeighbors.has(nodeId)) previousNeighbors.set(nodeId, []);
+                previousNeighbors.get(nodeId).push(peerId);
+            });
+        });
+        
+        diff.closedNodes.forEach(node => {
+            const nodeAttributes = createNodeGraphAttributes(node, sizeCalculators);
+            const peers = (previousNeighbors.get(node.id) || [])
+                .map(graphIdOf)
+                .filter(peerId => graph.hasNode(peerId));
+            if (peers.length > 0) {
+                nodeAttributes.x = peers.reduce((sum, peerId) => sum + graph.getNodeAttribute(peerId, 'x'), 0) / peers.length;
+                nodeAttributes.y = peers.reduce((sum, peerId) => sum + graph.getNodeAttribute(peerId, 'y'), 0) / peers.length;
+            } else {
+                nodeAttributes.x += offsetX;
+                nodeAttributes.y += offsetY;
+            }
+            nodeAttributes.snapshotOnly = true;
+            
+            const nodeId = `snapshot:${node.pub_key || node.id}`;
+            graph.addNode(nodeId, nodeAttributes);
+            addedNodes.push(nodeId);
+        });
+        
+        diff.closedEdges.forEach(edge => {
+            const source = graphIdOf(edge.source);
+            const target = graphIdOf(edge.target);
+            if (!graph.hasNode(source) || !graph.hasNode(target)) return;
+            const edgeAttributes = createEdgeGraphAttributes(edge, sizeCalculators);
+            edgeAttributes.snapshotOnly = true;
+            addedEdges.push(graph.addEdge(source, target, edgeAttributes));
+        });
+    }
+    
+    function renderSummary(diff) {
+        const sum = channels => channels.reduce((total, channel) => total + channel.capacity, 0);
+        const delta = diff.totals.now - diff.totals.before;
+        const deltaPercent = diff.totals.before > 0 ? (delta / diff.totals.before * 100).toFixed(1) : '∞';
+        const sign = delta >= 0 ? '+' : '−';
+        const swatch = color => `<span class="snapshot-swatch" style="background: ${color};"></span>`;
+        
+        const topChanged = diff.changedNodes.slice(0, 5).map(change => {
+            const capacitySign = change.capacityDelta >= 0 ? '+' : '−';
+            const rank = change.rankDelta !== 0 ? `, rank ${change.rankDelta > 0 ? '+' : ''}${change.rankDelta}` : '';
+            return `<li>${escapeXml(graph.getNodeAttribute(change.id, 'label'))}: ${capacitySign}${formatCapacity(Math.abs(change.capacityDelta))}${rank}</li>`;
+        }).join('');
+        
+        summaryElement.innerHTML = `
+            <div class="snapshot-summary-title">Compared with ${escapeXml(previous.path)}</div>
+            ${diff.sameTier ? '' : '<div class="route-message">The snapshots contain different channel tiers; differences include tier changes.</div>'}
+            <table class="whatif-table">
+                <tr><th></th><th>Nodes</th><th>Channels</th></tr>
+                <tr><td>${swatch(SNAPSHOT_DIFF_STYLE.NEW)}New</td><td>${[...diff.nodeStatus.values()].filter(status => status === 'new').length.toLocaleString()}</td><td>${diff.openedChannels.length.toLocaleString()}</td></tr>
+                <tr><td>${swatch(SNAPSHOT_DIFF_STYLE.CLOSED)}Closed</td><td>${diff.closedNodes.length.toLocaleString()}</td><td>${diff.closedChannels.length.toLocaleString()}</td></tr>
+                <tr><td>${swatch(SNAPSHOT_DIFF_STYLE.CHANGED)}Changed</td><td>${diff.changedNodes.length.toLocaleString()}</td><td>${[...diff.edgeStatus.values()].filter(status => status === 'changed').length.toLocaleString()} pairs</td></tr>
+            </table>
+            <div><span class="info-label">Opened capacity:</span> ${formatCapacity(sum(diff.openedChannels))}</div>
+            <div><span class="info-label">Closed capacity:</span> ${formatCapacity(sum(diff.closedChannels))}</div>
+            <div><span class="info-label">Total capacity:</span> ${formatCapacity(diff.totals.before)} → ${formatCapacity(diff.totals.now)}
+                (${sign}${formatCapacity(Math.abs(delta))}, ${sign}${String(deltaPercent).replace('-', '')}%)</div>
+            ${topChanged ? `<div class="snapshot-summary-title">Largest capacity changes</div><ul class="snapshot-changes">${topChanged}</ul>` : ''}
+        `;
+    }
+    
+    function applyDiff() {
+        const thresholds = {
+            capacityPercent: parseFloat(capacityInput?.value) || SNAPSHOT_DIFF_DEFAULTS.CAPACITY_CHANGE_PERCENT,
+            rank: parseInt(rankInput?.value, 10) || SNAPSHOT_DIFF_DEFAULTS.RANK_CHANGE
+        };
+        const diff = computeSnapshotDiff(current, previous, thresholds);
+        
+        removeSnapshotItems();
+        addSnapshotItems(diff);
+        
+        visibility.setOverlay('diff', {
+            node: (nodeId, res) => {
+                if (graph.getNodeAttribute(nodeId, 'isMeta')) return;
+                if (graph.getNodeAttribute(nodeId, 'snapshotOnly')) {
+                    res.color = SNAPSHOT_DIFF_STYLE.CLOSED;
+                    return;
+                }
+                const status = diff.nodeStatus.get(nodeId);
+                res.color = status === 'new' ? SNAPSHOT_DIFF_STYLE.NEW :
+                            status === 'changed' ? SNAPSHOT_DIFF_STYLE.CHANGED :
+                            SNAPSHOT_DIFF_STYLE.UNCHANGED;
+            },
+            edge: (edgeId, res) => {
+                const edgeAttributes = graph.getEdgeAttributes(edgeId);
+                if (edgeAttributes.isMeta) return;
+                if (edgeAttributes.snapshotOnly) {
+                    res.color = SNAPSHOT_DIFF_STYLE.CLOSED;
+                    return;
+                }
+                const status = diff.edgeStatus.get(edgeAttributes.attributes.id);
+                res.color = status === 'new' ? SNAPSHOT_DIFF_STYLE.NEW :
+                            status === 'changed' ? SNAPSHOT_DIFF_STYLE.CHANGED :
+                            SNAPSHOT_DIFF_STYLE.UNCHANGED;
+            }
+        });
+        
+        renderSummary(diff);
+        visibility.recompute();
+        console.log(`🗓️ Snapshot diff: ${diff.openedChannels.length} opened, ${diff.closedChannels.length} closed channels`);
+    }
+    
+    async function compare() {
+        const path = pathInput.value.trim();
+        if (!path) {
+            summaryElement.innerHTML = '<div class="route-message">Enter the path or URL of an earlier snapshot.</div>';
+            return;
+        }
+        
+        if (!previous || previous.path !== path) {
+            compareButton.disabled = true;
+            summaryElement.innerHTML = '<div class="route-message">Loading snapshot...</div>';
+            try {
+                // Same pipeline as the datasets: compressed, columnar and gossip files, validated
+                const snapshot = await loadDatasetInWorker(path, () => {}, listenerOptions.signal);
+                const { dropped } = snapshot.report;
+                if (dropped.nodes + dropped.edges > 0) {
+                    console.warn(`⚠️ Snapshot ${path}: dropped ${dropped.nodes} nodes and ${dropped.edges} edges that failed validation`);
+                }
+                previous = {
+                    path: path,
+                    nodes: snapshot.nodes,
+                    edges: snapshot.edges
+                };
+            } catch (error) {
+                // Loading another dataset cancels the request
+                if (error.name === 'AbortError') return;
+                console.error('Error loading snapshot:', error);
+                summaryElement.innerHTML = `<div class="route-message">${escapeXml(error.message)}</div>`;
+                return;
+            } finally {
+                compareButton.disabled = false;
+            }
+        }
+        
+        applyDiff();
+    }
+    
+    function clear() {
+        removeSnapshotItems();
+        visibility.setOverlay('diff', null);
+        summaryElement.innerHTML = '';
+        visibility.recompute();
+    }
+    
+    if (capacityInput) capacityInput.value = SNAPSHOT_DIFF_DEFAULTS.CAPACITY_CHANGE_PERCENT;
+    if (rankInput) rankInput.value = SNAPSHOT_DIFF_DEFAULTS.RANK_CHANGE;
+    summaryElement.innerHTML = '';
+    
+    compareButton.addEventListener('click', compare, listenerOptions);
+    if (clearButton) clearButton.addEventListener('click', clear, listenerOptions);
+    pathInput.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') compare();
+    }, listenerOptions);
+}
+
+// =============================================================================
+// TIMELINE REPLAY
+// =============================================================================
+
+// Number of playback steps from the first to the last channel block height
+const TIMELINE_STEPS = 200;
+
+/**
+ * Extracts the block height from a short channel ID such as "542973x2027x1"
+ * @param {string} shortChannelId - Short channel ID (birth_tx)
+ * @returns {number|null} Block height, or null when the ID is missing or malformed
+ */
+function parseBlockHeight(shortChannelId) {
+    const match = /^(\d+)x\d+x\d+$/.exec(String(shortChannelId || ''));
+    return match ? parseInt(match[1], 10) : null;
+}
+
+/**
+ * Indexes the opening heights of every channel in the graph
+ * Channels without a valid birth_tx open together with the first dated channel of their edge
+ * @param {Object} graph - Graphology graph instance
+ * @returns {Object} { edges: Map(edgeId -> { first, channels: [{height, capacity}] }), nodes: Map(nodeId -> first height), min, max }
+ */
+function indexChannelHeights(graph) {
+    const edges = new Map();
+    const nodes = new Map();
+    let min = Infinity;
+    let max = -Infinity;
+    
+    graph.forEachEdge((edgeId, edgeAttributes, source, target) => {
+        const attrs = edgeAttributes.attributes;
+        const channels = (attrs.channels || []).map(channel => ({
+            height: parseBlockHeight(channel.birth_tx),
+            capacity: channel.capacity || 0
+        }));
+        const heights = channels.map(channel => channel.height).filter(height => height !== null);
+        if (heights.length === 0) return;
+        
+        const first = Math.min(...heights);
+        channels.forEach(channel => {
+            if (channel.height === null) channel.height = first;
+        });
+        edges.set(edgeId, { first, channels });
+        
+        [source, target].forEach(nodeId => {
+            if (!nodes.has(nodeId) || nodes.get(nodeId) > first) nodes.set(nodeId, first);
+        });
+        min = Math.min(min, first);
+        max = Math.max(max, ...heights);
+    });
+    
+    return { edges, nodes, min, max };
+}
+
+/**
+ * Wires the Network Growth panel: replays the graph by channel block height
+ * The replay is a visibility layer, so filters and search keep applying on top of it
+ * @param {Object} graph - Graphology graph instance
+ * @param {Object} visibility - Visibility manager
+ * @param {Object} listenerOptions - addEventListener options carrying the dataset's abort signal
+ */
+function setupTimelineReplay(graph, visibility, listenerOptions) {
+    const slider = document.getElementById('timeline-slider');
+    const playButton = document.getElementById('timeline-play');
+    const resetButton = document.getElementById('timeline-reset');
+    const readout = document.getElementById('timeline-readout');
+    if (!slider || !playButton || !readout) return;
+    
+    let index = indexChannelHeights(graph);
+    let height = null;   // null: replay inactive, everything shown
+    let timer = null;
+    
+    if (index.edges.size === 0) {
+        slider.disabled = true;
+        playButton.disabled = true;
+        readout.innerHTML = '<div class="route-message">No channel birth heights in this dataset.</div>';
+        return;
+    }
+    
+    function setHeight(value) {
+        if (height === null) {
+            // Re-index on activation: snapshot comparisons may have added channels
+            index = indexChannelHeights(graph);
+        }
+        height = value >= index.max ? null : value;
+        slider.min = index.min;
+        slider.max = index.max;
+        slider.value = Math.min(Math.max(value, index.min), index.max);
+        
+        visibility.setLayer('timeline', height === null ? null : {
+            node: nodeId => index.nodes.has(nodeId) && index.nodes.get(nodeId) <= height,
+            edge: edgeId => index.edges.has(edgeId) && index.edges.get(edgeId).first <= height
+        });
+        visibility.recompute();
+    }
+    
+    /**
+     * Counts the channels and capacity open at the current height among visible edges,
+     * so the readout matches the graph with filters and search applied
+     */
+    function renderReadout() {
+        const limit = height === null ? Infinity : height;
+        let channelCount = 0;
+        let capacity = 0;
+        
+        graph.forEachEdge((edgeId, edgeAttributes) => {
+            if (edgeAttributes.hidden || !isNetworkItem(edgeAttributes)) return;
+            const timeline = index.edges.get(edgeId);
+            if (!timeline) {
+                channelCount += edgeAttributes.attributes.channelCount || 1;
+                capacity += edgeAttributes.attributes.capacity || 0;
+                return;
+            }
+            timeline.channels.forEach(channel => {
+                if (channel.height <= limit) {
+                    channelCount++;
+                    capacity += channel.capacity;
+                }
+            });
+        });
+        
+        readout.innerHTML = `
+            <div><span class="info-label">Block height:</span> ${(height === null ? index.max : height).toLocaleString()}${height === null ? ' (latest)' : ''}</div>
+            <div><span class="info-label">Nodes:</span> ${visibility.counts.nodes.toLocaleString()}</div>
+            <div><span class="info-label">Channels:</span> ${channelCount.toLocaleString()}</div>
+            <div><span class="info-label">Capacity:</span> ${formatCapacity(capacity)}</div>
+        `;
+    }
+    
+    function updatePlayButton() {
+        playButton.innerHTML = timer
+            ? '<i class="fas fa-pause"></i> Pause'
+            : '<i class="fas fa-play"></i> Play';
+    }
+    
+    function pause() {
+        if (timer) {
+            clearInterval(timer);
+            timer = null;
+        }
+        updatePlayButton();
+    }
+    
+    function play() {
+        const step = Math.max(1, Math.ceil((index.max - index.min) / TIMELINE_STEPS));
+        // Restart from the first channel when playback already reached the end
+        let next = height === null ? index.min : height;
+        setHeight(next);
+        
+        timer = setInterval(() => {
+            next += step;
+            setHeight(next);
+            if (next >= index.max) pause();
+        }, TIMING.TIMELINE_FRAME);
+        updatePlayButton();
+    }
+    
+    slider.min = index.min;
+    slider.max = index.max;
+    slider.step = 1;
+    slider.value = index.max;
+    slider.disabled = false;
+    playButton.disabled = false;
+    updatePlayButton();
+    renderReadout();
+    
+    visibility.onChange(renderReadout);
+    
+    slider.addEventListener('input', () => {
+        pause();
+        setHeight(parseInt(slider.value, 10));
+    }, listenerOptions);
+    playButton.addEventListener('click', () => {
+        if (timer) pause(); else play();
+    }, listenerOptions);
+    if (resetButton) {
+        resetButton.addEventListener('click', () => {
+            pause();
+            setHeight(index.max);
+        }, listenerOptions);
+    }
+    
+    // Stop playback when the dataset is destroyed
+    listenerOptions.signal.addEventListener('abort', pause);
+}
+
+// =============================================================================
+// EXPORT
+// =============================================================================
+
+const EXPORT_FORMATS = {
+    gexf: { suffix: '.gexf', mimeType: 'application/gexf+xml' },
+    graphml: { suffix: '.graphml', mimeType: 'application/graphml+xml' },
+    'nodes-csv': { suffix: '-nodes.csv', mimeType: 'text/csv' },
+    'edges-csv': { suffix: '-channels.csv', mimeType: 'text/csv' },
+    json: { suffix: '.json', mimeType: 'application/json' },
+    columnar: { suffix: '.columnar.json', mimeType: 'application/json' }
+};
+
+/**
+ * Collects the nodes and edges not marked hidden, as records with long attribute names
+ * (only items of the current network, see isNetworkItem)
+ * Channels hidden only by the selection focus are included: the subgraph follows the
+ * filters and other layers, not the selected node
+ * Node positions are taken from the graph so layout changes are preserved
+ * @param {Object} graph - Graphology graph instance
+ * @param {Object} visibility - Visibility manager of the graph
+ * @returns {Object} { nodes: [{ record, label, color, size }], edges: [{ record }] }
+ */
+function collectVisibleSubgraph(graph, visibility) {
+    const nodes = [];
+    const exportedNodes = new Set();
+    graph.forEachNode((nodeId, nodeAttributes) => {
+        if (nodeAttributes.hidden || !isNetworkItem(nodeAttributes)) return;
+        exportedNodes.add(nodeId);
+        nodes.push({
+            record: { ...nodeAttributes.record, id: nodeId, x: nodeAttributes.x, y: nodeAttributes.y },
+            label: nodeAttributes.label,
+            color: nodeAttributes.color,
+            size: nodeAttributes.size
+        });
+    });
+    
+    const edges = [];
+    graph.forEachEdge((edgeId, edgeAttributes, source, target) => {
+        if (edgeAttributes.hidden && !visibility.isHiddenByFocus(edgeId)) return;
+        if (!isNetworkItem(edgeAttributes)) return;
+        if (!exportedNodes.has(source) || !exportedNodes.has(target)) return;
+        edges.push({
+            record: { ...edgeAttributes.record, id: edgeAttributes.record.id || edgeId, source, target }
+        });
+    });
+    
+    return { nodes, edges };
+}
+
+/**
+ * Infers the XML attribute type of an exported field from its values
+ * @param {Array} values - Field values (undefined/null are ignored)
+ * @returns {string} 'long', 'double', 'boolean' or 'string'
+ */
+function inferExportType(values) {
+    const present = values.filter(value => value !== undefined && value !== null);
+    if (present.length === 0) return 'string';
+    if (present.every(value => typeof value === 'boolean')) return 'boolean';
+    if (present.every(value => typeof value === 'number')) {
+        return present.every(Number.isInteger) ? 'long' : 'double';
+    }
+    return 'string';
+}
+
+/**
+ * Formats a field value for text formats: objects and arrays become JSON
+ * @param {*} value - Field value
+ * @returns {string} Text value
+ */
+function formatExportValue(value) {
+    if (value === undefined || value === null) return '';
+    return typeof value === 'object' ? JSON.stringify(value) : String(value);
+}
+
+/**
+ * Escapes text for XML attribute values and element content
+ * @param {*} value - Value to escape
+ * @returns {string} Escaped text
+ */
+function escapeXml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;');
+}
+
+/**
+ * Quotes a CSV cell when it contains separators, quotes or line breaks
+ * @param {*} value - Cell value
+ * @returns {string} CSV cell
+ */
+function escapeCsv(value) {
+    const text = formatExportValue(value);
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Lists the exported fields (long attribute names present in the data) with their types
+ * @param {Array} records - Node or edge records
+ * @param {string} kind - 'node' or 'edge' (key of ATTRIBUTE_MAPPING)
+ * @returns {Array} [{ name, type }]
+ */
+function getExportFields(records, kind) {
+    return Object.values(ATTRIBUTE_MAPPING[kind])
+        .filter(name => records.some(record => record[name] !== undefined))
+        .map(name => ({ name, type: inferExportType(records.map(record => record[name])) }));
+}
+
+/**
+ * Serializes a subgraph as GEXF 1.3 with positions, sizes and colors for Gephi
+ * @param {Object} subgraph - Result of collectVisibleSubgraph
+ * @returns {string} GEXF document
+ */
+function serializeGexf(subgraph) {
+    const nodeRecords = subgraph.nodes.map(node => node.record);
+    const edgeRecords = subgraph.edges.map(edge => edge.record);
+    const nodeFields = getExportFields(nodeRecords, 'node');
+    const edgeFields = getExportFields(edgeRecords, 'edge');
+    
+    const attributeDeclarations = fields => fields
+        .map(field => `      <attribute id="${escapeXml(field.name)}" title="${escapeXml(field.name)}" type="${field.type}"/>`)
+        .join('\n');
+    const attributeValues = (record, fields) => {
+        const values = fields
+            .filter(field => record[field.name] !== undefined && record[field.name] !== null)
+            .map(field => `<attvalue for="${escapeXml(field.name)}" value="${escapeXml(formatExportValue(record[field.name]))}"/>`);
+        return values.length > 0 ? `<attvalues>${values.join('')}</attvalues>` : '';
+    };
+    const vizColor = color => {
+        const match = /^#([0-9a-f]{2})([0-9a-f]{2})([0-9a-f]{2})$/i.exec(color || '');
+        return match
+            ? `<viz:color r="${parseInt(match[1], 16)}" g="${parseInt(match[2], 16)}" b="${parseInt(match[3], 16)}"/>`
+            : '';
+    };
+    
+    const nodesXml = subgraph.nodes.map(node => {
+        const record = node.record;
+        return `      <node id="${escapeXml(record.id)}" label="${escapeXml(node.label || record.id)}">` +
+            attributeValues(record, nodeFields) +
+            `<viz:position x="${record.x}" y="${record.y}" z="0"/>` +
+            `<viz:size value="${node.size}"/>` +
+            vizColor(node.color) +
+            '</node>';
+    }).join('\n');
+    
+    const edgesXml = subgraph.edges.map(edge => {
+        const record = edge.record;
+        const weight = record.total_capacity !== undefined ? ` weight="${escapeXml(record.total_capacity)}"` : '';
+        return `      <edge id="${escapeXml(record.id)}" source="${escapeXml(record.source)}" target="${escapeXml(record.target)}"${weight}>` +
+            attributeValues(record, edgeFields) +
+            '</edge>';
+    }).join('\n');
+    
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<gexf xmlns="http://gexf.net/1.3" xmlns:viz="http://gexf.net/1.3/viz" version="1.3">
+  <meta>
+    <creator>ln-graph-viz</creator>
+    <description>Lightning Network subgraph</description>
+  </meta>
+  <graph defaultedgetype="undirected" mode="static">
+    <attributes class="node">
+${attributeDeclarations(nodeFields)}
+    </attributes>
+    <attributes class="edge">
+${attributeDeclarations(edgeFields)}
+    </attributes>
+    <nodes>
+${nodesXml}
+    </nodes>
+    <edges>
+${edgesXml}
+    </edges>
+  </graph>
+</gexf>
+`;
+}
+
+/**
+ * Serializes a subgraph as GraphML (readable by NetworkX, igraph, yEd)
+ * @param {Object} subgraph - Result of collectVisibleSubgraph
+ * @returns {string} GraphML document
+ */
+function serializeGraphml(subgraph) {
+    const nodeRecords = subgraph.nodes.map(node => node.record);
+    const edgeRecords = subgraph.edges.map(edge => edge.record);
+    const nodeFields = [
+        { name: 'label', type: 'string' },
+        { name: 'x', type: 'double' },
+        { name: 'y', type: 'double' },
+        ...getExportFields(nodeRecords, 'node').filter(field => field.name !== 'alias')
+    ];
+    const edgeFields = getExportFields(edgeRecords, 'edge');
+    
+    const keys = [
+        ...nodeFields.map(field => `  <key id="n_${escapeXml(field.name)}" for="node" attr.name="${escapeXml(field.name)}" attr.type="${field.type}"/>`),
+        ...edgeFields.map(field => `  <key id="e_${escapeXml(field.name)}" for="edge" attr.name="${escapeXml(field.name)}" attr.type="${field.type}"/>`)
+    ].join('\n');
+    const data = (record, fields, prefix) => fields
+        .filter(field => record[field.name] !== undefined && record[field.name] !== null)
+        .map(field => `<data key="${prefix}_${escapeXml(field.name)}">${escapeXml(formatExportValue(record[field.name]))}</data>`)
+        .join('');
+    
+    const nodesXml = subgraph.nodes.map(node => {
+        const record = { ...node.record, label: node.label || node.record.alias || node.record.id };
+        return `    <node id="${escapeXml(record.id)}">${data(record, nodeFields, 'n')}</node>`;
+    }).join('\n');
+    const edgesXml = subgraph.edges.map(edge => {
+        const record = edge.record;
+        return `    <edge id="${escapeXml(record.id)}" source="${escapeXml(record.source)}" target="${escapeXml(record.target)}">${data(record, edgeFields, 'e')}</edge>`;
+    }).join('\n');
+    
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<graphml xmlns="http://graphml.graphdrawing.org/xmlns" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance" xsi:schemaLocation="http://graphml.graphdrawing.org/xmlns http://graphml.graphdrawing.org/xmlns/1.0/graphml.xsd">
+${keys}
+  <graph id="lightning" edgedefault="undirected">
+${nodesXml}
+${edgesXml}
+  </graph>
+</graphml>
+`;
+}
+
+/**
+ * Serializes node or edge records as a CSV table
+ * @param {Array} records - Node or edge records
+ * @param {string} kind - 'node' or 'edge'
+ * @returns {string} CSV text
+ */
+function serializeCsv(records, kind) {
+    const leading = kind === 'node' ? ['id', 'x', 'y'] : ['id', 'source', 'target'];
+    const columns = [...leading, ...getExportFields(records, kind).map(field => field.name)];
+    const rows = records.map(record => columns.map(column => escapeCsv(record[column])).join(','));
+    return [columns.join(','), ...rows].join('\n') + '\n';
+}
+
+/**
+ * Serializes a subgraph in the shortened-key JSON format the viewer loads
+ * @param {Object} subgraph - Result of collectVisibleSubgraph
+ * @returns {string} JSON text
+ */
+function serializeNativeJson(subgraph) {
+    return JSON.stringify({
+        nodes: subgraph.nodes.map(node => unmapNodeAttributes(node.record)),
+        edges: subgraph.edges.map(edge => unmapEdgeAttributes(edge.record))
+    });
+}
+
+/**
+ * Offers content to the user as a file download
+ * @param {string|Blob} content - File content
+ * @param {string} filename - Suggested file name
+ * @param {string} mimeType - MIME type
+ */
+function downloadFile(content, filename, mimeType) {
+    const blob = content instanceof Blob ? content : new Blob([content], { type: mimeType });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+/**
+ * Exports the visible subgraph in one of EXPORT_FORMATS
+ * @param {Object} graph - Graphology graph instance
+ * @param {Object} visibility - Visibility manager of the graph
+ * @param {string} format - Key of EXPORT_FORMATS
+ * @param {string} baseName - File name without extension
+ */
+function exportVisibleSubgraph(graph, visibility, format, baseName) {
+    const subgraph = collectVisibleSubgraph(graph, visibility);
+    const serializers = {
+        gexf: () => serializeGexf(subgraph),
+        graphml: () => serializeGraphml(subgraph),
+        'nodes-csv': () => serializeCsv(subgraph.nodes.map(node => node.record), 'node'),
+        'edges-csv': () => serializeCsv(subgraph.edges.map(edge => edge.record), 'edge'),
+        json: () => serializeNativeJson(subgraph),
+        columnar: () => JSON.stringify(encodeColumnarDataset(
+            subgraph.nodes.map(node => node.record), subgraph.edges.map(edge => edge.record)))
+    };
+    
+    const { suffix, mimeType } = EXPORT_FORMATS[format];
+    downloadFile(serializers[format](), `${baseName}${suffix}`, mimeType);
+    console.log(`💾 Exported ${subgraph.nodes.length} nodes and ${subgraph.edges.length} channels as ${format}`);
+}
+
+/**
+ * Wires the Export menu in the graph controls
+ * @param {Object} graph - Graphology graph instance
+ * @param {Object} renderer - Sigma.js renderer instance (image export)
+ * @param {Object} visibility - Visibility manager (subgraph export)
+ * @param {string} jsonFile - Path of the loaded dataset, used to name exported files
+ * @param {Object} listenerOptions - addEventListener options carrying the dataset's abort signal
+ */
+function setupExportMenu(graph, renderer, visibility, jsonFile, listenerOptions) {
+    const toggle = document.getElementById('export-toggle');
+    const menu = document.getElementById('export-menu');
+    const scaleSelect = document.getElementById('export-scale');
+    if (!toggle || !menu) return;
+    
+    const baseName = `${String(jsonFile || 'graph').split('/').pop().replace(/\.json$/i, '')}-visible`;
+    
+    toggle.addEventListener('click', (e) => {
+        e.stopPropagation();
+        menu.classList.toggle('open');
+    }, listenerOptions);
+    
+    menu.addEventListener('click', (e) => {
+        const item = e.target.closest('[data-format]');
+        if (!item) return;
+        const format = item.dataset.format;
+        
+        if (format === 'png' || format === 'svg') {
+            menu.classList.remove('open');
+            exportViewImage(renderer, graph, format, parseFloat(scaleSelect?.value) || 1, jsonFile);
+        } else if (EXPORT_FORMATS[format]) {
+            menu.classList.remove('open');
+            exportVisibleSubgraph(graph, visibility, format, baseName);
+        }
+    }, listenerOptions);
+    
+    document.addEventListener('click', (e) => {
+        if (!menu.contains(e.target)) menu.classList.remove('open');
+    }, listenerOptions);
+}
+
+// =============================================================================
+// IMAGE EXPORT
+// =============================================================================
+
+const IMAGE_EXPORT_CONFIG = {
+    FONT: "'Segoe UI', Tahoma, Geneva, Verdana, sans-serif",
+    BACKGROUND: '#FFFFFF',
+    TEXT_COLOR: '#2A3342',
+    MUTED_TEXT_COLOR: '#5F6C7E',
+    PADDING: 16,
+    LINE_HEIGHT: 18,
+    LEGEND_SWATCH_RADIUS: 5,
+    MAX_LEGEND_CLUSTERS: 16,
+    MAX_CANVAS_SIZE: 16384   // Largest canvas side most browsers accept
+};
+
+/**
+ * Describes the active filters, search and replay in plain words for captions
+ * @returns {Array<string>} One entry per active constraint
+ */
+function describeActiveFilters() {
+    const parts = [];
+    if (filterState.plebRankMax) parts.push(`top ${filterState.plebRankMax} pleb rank`);
+    if (filterState.bridgeFilter === 'any') parts.push('bridge nodes');
+    if (filterState.bridgeFilter === 'important') parts.push('critical bridge nodes');
+    if (filterState.channelBridgeFilter === 'bridge_only') parts.push('bridge channels');
+    if (filterState.channelBridgeFilter === 'important_only') parts.push('critical bridge channels');
+    if (filterState.interClusterOnly) parts.push('inter-cluster channels');
+    if (filterState.multiChannelOnly) parts.push('multi-channel connections');
+    if (filterState.channelCapacityMin !== null || filterState.channelCapacityMax !== null) {
+        const min = filterState.channelCapacityMin !== null ? formatCapacity(filterState.channelCapacityMin) : '0';
+        const max = filterState.channelCapacityMax !== null ? formatCapacity(filterState.channelCapacityMax) : '∞';
+        parts.push(`channel capacity ${min} – ${max}`);
+    }
+    if (filterState.hideIsolatedNodes) parts.push('isolated nodes hidden');
+    if (filterState.expression) parts.push(`expression "${filterState.expression.source}"`);
+    
+    const searchInput = document.getElementById('search-input');
+    if (searchInput && searchInput.value.trim().length >= TIMING.SEARCH_MIN_LENGTH) {
+        parts.push(`search "${searchInput.value.trim()}"`);
+    }
+    return parts;
+}
+
+/**
+ * Builds the caption of an exported image from the dataset and the network summary box
+ * @param {string} jsonFile - Path of the loaded dataset
+ * @returns {Object} { title, lines }
+ */
+function buildExportCaption(jsonFile) {
+    const datasetSelect = document.getElementById('dataset-select');
+    const option = datasetSelect && [...datasetSelect.options].find(item => item.value === jsonFile);
+    const datasetName = option ? option.textContent.trim() : String(jsonFile || '').split('/').pop();
+    
+    const nodesCount = document.getElementById('summary-nodes-count')?.textContent || '0';
+    const channelsCount = document.getElementById('summary-channels-count')?.textContent || '0';
+    const filters = describeActiveFilters();
+    
+    return {
+        title: `Lightning Network — ${datasetName}`,
+        lines: [
+            `${nodesCount} nodes, ${channelsCount} channels visible`,
+            filters.length > 0 ? `Filters: ${filters.join(', ')}` : 'No filters applied',
+            `Exported ${new Date().toISOString().slice(0, 10)}`
+        ]
+    };
+}
+
+/**
+ * Lays out the current camera view, legend and caption as drawing primitives
+ * Positions, colors and sizes come from Sigma's display data, so reducers
+ * (selection dimming, overlays) and bridge borders are included
+ * @param {Object} renderer - Sigma.js renderer instance
+ * @param {Object} graph - Graphology graph instance
+ * @param {Object} caption - Result of buildExportCaption
+ * @returns {Object} { width, height, primitives }
+ */
+function buildImageScene(renderer, graph, caption) {
+    const { width, height: viewHeight } = renderer.getDimensions();
+    const primitives = [{ type: 'rect', x: 0, y: 0, width: width, height: 0, fill: IMAGE_EXPORT_CONFIG.BACKGROUND }];
+    
+    // Nodes in viewport coordinates (off-screen nodes are kept for their edges)
+    const positions = new Map();
+    const nodes = [];
+    graph.forEachNode((nodeId, nodeAttributes) => {
+        const data = renderer.getNodeDisplayData(nodeId);
+        if (!data || data.hidden) return;
+        const { x, y } = renderer.framedGraphToViewport(data);
+        const radius = renderer.scaleSize(data.size);
+        positions.set(nodeId, { x, y });
+        if (x + radius < 0 || x - radius > width || y + radius < 0 || y - radius > viewHeight) return;
+        nodes.push({
+            x, y, radius,
+            color: data.color,
+            borderColor: data.borderColor,
+            borderSize: data.borderSize || 0,
+            label: data.label,
+            forceLabel: data.forceLabel,
+            order: (data.zIndex || 0) + (data.highlighted ? 1 : 0),
+            cluster: nodeAttributes.isMeta ? nodeAttributes.cluster : nodeAttributes.attributes.cluster
+        });
+    });
+    
+    const edgeColors = new Set();
+    graph.forEachEdge((edgeId, edgeAttributes, source, target) => {
+        const data = renderer.getEdgeDisplayData(edgeId);
+        if (!data || data.hidden) return;
+        const from = positions.get(source);
+        const to = positions.get(target);
+        if (!from || !to) return;
+        // Skip edges entirely on one side of the viewport
+        if ((from.x < 0 && to.x < 0) || (from.x > width && to.x > width) ||
+            (from.y < 0 && to.y < 0) || (from.y > viewHeight && to.y > viewHeight)) return;
+        edgeColors.add(data.color);
+        primitives.push({
+            type: 'line',
+            x1: from.x, y1: from.y, x2: to.x, y2: to.y,
+            color: data.color,
+            width: Math.max(renderer.scaleSize(data.size || 1), 0.2)
+        });
+    });
+    
+    nodes.sort((a, b) => a.order - b.order);
+    nodes.forEach(node => {
+        primitives.push({
+            type: 'circle',
+            x: node.x, y: node.y, radius: node.radius,
+            fill: node.color,
+            stroke: node.borderSize > 0 ? node.borderColor : null,
+            strokeWidth: node.borderSize
+        });
+    });
+    
+    // Labels: forced labels and large nodes first, skipping overlapping ones like Sigma's label grid
+    const labelSize = renderer.getSetting('labelSize') || 12;
+    const threshold = renderer.getSetting('labelRenderedSizeThreshold') || 0;
+    const placed = [];
+    nodes.filter(node => node.label && (node.forceLabel || node.radius >= threshold))
+        .sort((a, b) => (b.forceLabel ? 1 : 0) - (a.forceLabel ? 1 : 0) || b.radius - a.radius)
+        .forEach(node => {
+            const box = {
+                x: node.x + node.radius + 3,
+                y: node.y - labelSize / 2,
+                width: String(node.label).length * labelSize * 0.6,
+                height: labelSize
+            };
+            const overlaps = placed.some(other =>
+                box.x < other.x + other.width && other.x < box.x + box.width &&
+                box.y < other.y + other.height && other.y < box.y + box.height);
+            if (overlaps && !node.forceLabel) return;
+            placed.push(box);
+            primitives.push({ type: 'text', x: box.x, y: node.y + labelSize / 3, text: String(node.label), size: labelSize, color: '#000' });
+        });
+    
+    // Legend entries: clusters present in the view, then the bridge styles in use
+    const clusterCounts = new Map();
+    nodes.forEach(node => {
+        if (node.cluster === undefined || node.cluster === null) return;
+        clusterCounts.set(node.cluster, (clusterCounts.get(node.cluster) || 0) + 1);
+    });
+    const clusters = [...clusterCounts.entries()].sort((a, b) => b[1] - a[1]);
+    const entries = clusters.slice(0, IMAGE_EXPORT_CONFIG.MAX_LEGEND_CLUSTERS).map(([cluster, count]) => ({
+        swatch: { type: 'circle', fill: getClusterColor(cluster) },
+        text: `Cluster ${cluster} (${count.toLocaleString()})`
+    }));
+    if (clusters.length > IMAGE_EXPORT_CONFIG.MAX_LEGEND_CLUSTERS) {
+        entries.push({ swatch: null, text: `+${clusters.length - IMAGE_EXPORT_CONFIG.MAX_LEGEND_CLUSTERS} more clusters` });
+    }
+    const borders = new Set(nodes.filter(node => node.borderSize > 0).map(node => node.borderColor));
+    if (borders.has(BRIDGE_NODE_CONFIG.IMPORTANT_BRIDGE.borderColor)) {
+        entries.push({ swatch: { type: 'ring', stroke: BRIDGE_NODE_CONFIG.IMPORTANT_BRIDGE.borderColor, strokeWidth: BRIDGE_NODE_CONFIG.IMPORTANT_BRIDGE.borderWidth }, text: 'Critical bridge node' });
+    }
+    if (borders.has(BRIDGE_NODE_CONFIG.REGULAR_BRIDGE.borderColor)) {
+        entries.push({ swatch: { type: 'ring', stroke: BRIDGE_NODE_CONFIG.REGULAR_BRIDGE.borderColor, strokeWidth: BRIDGE_NODE_CONFIG.REGULAR_BRIDGE.borderWidth }, text: 'Bridge node' });
+    }
+    if (edgeColors.has(EDGE_HIGHLIGHT.IMPORTANT_BRIDGE)) {
+        entries.push({ swatch: { type: 'line', color: EDGE_HIGHLIGHT.IMPORTANT_BRIDGE }, text: 'Critical bridge channel' });
+    }
+    if (edgeColors.has(EDGE_HIGHLIGHT.REGULAR_BRIDGE)) {
+        entries.push({ swatch: { type: 'line', color: EDGE_HIGHLIGHT.REGULAR_BRIDGE }, text: 'Bridge channel' });
+    }
+    
+    // Footer below the view: caption, then legend entries flowing in rows
+    const { PADDING, LINE_HEIGHT, LEGEND_SWATCH_RADIUS } = IMAGE_EXPORT_CONFIG;
+    let y = viewHeight + PADDING;
+    primitives.push({ type: 'line', x1: 0, y1: viewHeight, x2: width, y2: viewHeight, color: '#E5E1DC', width: 1 });
+    
+    y += LINE_HEIGHT - 4;
+    primitives.push({ type: 'text', x: PADDING, y: y, text: caption.title, size: 15, color: IMAGE_EXPORT_CONFIG.TEXT_COLOR, weight: 600 });
+    caption.lines.forEach(line => {
+        y += LINE_HEIGHT;
+        primitives.push({ type: 'text', x: PADDING, y: y, text: line, size: 12, color: IMAGE_EXPORT_CONFIG.MUTED_TEXT_COLOR });
+    });
+    
+    if (entries.length > 0) {
+        y += LINE_HEIGHT + 4;
+        let x = PADDING;
+        entries.forEach(entry => {
+            const entryWidth = LEGEND_SWATCH_RADIUS * 2 + 6 + entry.text.length * 12 * 0.6 + 16;
+            if (x + entryWidth > width - PADDING && x > PADDING) {
+                x = PADDING;
+                y += LINE_HEIGHT;
+            }
+            const centerY = y - 4;
+            if (entry.swatch && entry.swatch.type === 'circle') {
+                primitives.push({ type: 'circle', x: x + LEGEND_SWATCH_RADIUS, y: centerY, radius: LEGEND_SWATCH_RADIUS, fill: entry.swatch.fill });
+            } else if (entry.swatch && entry.swatch.type === 'ring') {
+                primitives.push({ type: 'circle', x: x + LEGEND_SWATCH_RADIUS, y: centerY, radius: LEGEND_SWATCH_RADIUS, fill: '#FFFFFF', stroke: entry.swatch.stroke, strokeWidth: entry.swatch.strokeWidth });
+            } else if (entry.swatch && entry.swatch.type === 'line') {
+                primitives.push({ type: 'line', x1: x, y1: centerY, x2: x + LEGEND_SWATCH_RADIUS * 2, y2: centerY, color: entry.swatch.color, width: 3 });
+            }
+            primitives.push({ type: 'text', x: x + LEGEND_SWATCH_RADIUS * 2 + 6, y: y, text: entry.text, size: 12, color: IMAGE_EXPORT_CONFIG.TEXT_COLOR });
+            x += entryWidth;
+        });
+    }
+    
+    const height = y + PADDING;
+    primitives[0].height = height;
+    return { width, height, primitives };
+}
+
+/**
+ * Draws a scene on a canvas at the given scale
+ * @param {Object} scene - Result of buildImageScene
+ * @param {number} scale - Output pixels per CSS pixel
+ * @returns {HTMLCanvasElement} Rendered canvas
+ */
+function renderSceneToCanvas(scene, scale) {
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.round(scene.width * scale);
+    canvas.height = Math.round(scene.height * scale);
+    const context = canvas.getContext('2d');
+    context.scale(scale, scale);
+    context.lineCap = 'round';
+    
+    scene.primitives.forEach(primitive => {
+        if (primitive.type === 'rect') {
+            context.fillStyle = primitive.fill;
+            context.fillRect(primitive.x, primitive.y, primitive.width, primitive.height);
+        } else if (primitive.type === 'line') {
+            context.strokeStyle = primitive.color;
+            context.lineWidth = primitive.width;
+            context.beginPath();
+            context.moveTo(primitive.x1, primitive.y1);
+            context.lineTo(primitive.x2, primitive.y2);
+            context.stroke();
+        } else if (primitive.type === 'circle') {
+            context.beginPath();
+            context.arc(primitive.x, primitive.y, primitive.radius, 0, Math.PI * 2);
+            context.fillStyle = primitive.fill;
+            context.fill();
+            if (primitive.stroke) {
+                context.strokeStyle = primitive.stroke;
+                context.lineWidth = primitive.strokeWidth;
+                context.stroke();
+            }
+        } else if (primitive.type === 'text') {
+            context.fillStyle = primitive.color;
+            context.font = `${primitive.weight || 400} ${primitive.size}px ${IMAGE_EXPORT_CONFIG.FONT}`;
+            context.fillText(primitive.text, primitive.x, primitive.y);
+        }
+    });
+    
+    return canvas;
+}
+
+/**
+ * Serializes a scene as an SVG document (vector output, editable in Inkscape/Illustrator)
+ * @param {Object} scene - Result of buildImageScene
+ * @param {number} scale - Scale applied to the document width and height
+ * @returns {string} SVG document
+ */
+function renderSceneToSvg(scene, scale) {
+    const round = value => Math.round(value * 100) / 100;
+    const elements = scene.primitives.map(primitive => {
+        if (primitive.type === 'rect') {
+            return `<rect x="${primitive.x}" y="${primitive.y}" width="${round(primitive.width)}" height="${round(primitive.height)}" fill="${primitive.fill}"/>`;
+        }
+        if (primitive.type === 'line') {
+            return `<line x1="${round(primitive.x1)}" y1="${round(primitive.y1)}" x2="${round(primitive.x2)}" y2="${round(primitive.y2)}" stroke="${primitive.color}" stroke-width="${round(primitive.width)}" stroke-linecap="round"/>`;
+        }
+        if (primitive.type === 'circle') {
+            const stroke = primitive.stroke ? ` stroke="${primitive.stroke}" stroke-width="${primitive.strokeWidth}"` : '';
+            return `<circle cx="${round(primitive.x)}" cy="${round(primitive.y)}" r="${round(primitive.radius)}" fill="${primitive.fill}"${stroke}/>`;
+        }
+        return `<text x="${round(primitive.x)}" y="${round(primitive.y)}" font-size="${primitive.size}" font-weight="${primitive.weight || 400}" fill="${primitive.color}">${escapeXml(primitive.text)}</text>`;
+    });
+    
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<svg xmlns="http://www.w3.org/2000/svg" width="${round(scene.width * scale)}" height="${round(scene.height * scale)}" viewBox="0 0 ${round(scene.width)} ${round(scene.height)}" font-family="${escapeXml(IMAGE_EXPORT_CONFIG.FONT)}">
+${elements.join('\n')}
+</svg>
+`;
+}
+
+/**
+ * Exports the current camera view as PNG or SVG
+ * @param {Object} renderer - Sigma.js renderer instance
+ * @param {Object} graph - Graphology graph instance
+ * @param {string} format - 'png' or 'svg'
+ * @param {number} scale - Requested output scale (PNG is capped to the browser's canvas limit)
+ * @param {string} jsonFile - Path of the loaded dataset (caption and file name)
+ */
+function exportViewImage(renderer, graph, format, scale, jsonFile) {
+    const scene = buildImageScene(renderer, graph, buildExportCaption(jsonFile));
+    const baseName = `${String(jsonFile || 'graph').split('/').pop().replace(/\.json$/i, '')}-view`;
+    
+    if (format === 'svg') {
+        downloadFile(renderSceneToSvg(scene, scale), `${baseName}.svg`, 'image/svg+xml');
+        return;
+    }
+    
+    const safeScale = Math.min(scale, IMAGE_EXPORT_CONFIG.MAX_CANVAS_SIZE / Math.max(scene.width, scene.height));
+    if (safeScale < scale) {
+        console.warn(`Image scale reduced to ${safeScale.toFixed(2)}× to stay within the canvas size limit`);
+    }
+    renderSceneToCanvas(scene, safeScale).toBlob(blob => {
+        downloadFile(blob, `${baseName}.png`, 'image/png');
+    }, 'image/png');
+}
+
+// =============================================================================
+// LEGEND
+// =============================================================================
+
+const LEGEND_NODE_CLASSES = [
+    { key: 'critical', label: 'Critical bridge node', border: BRIDGE_NODE_CONFIG.IMPORTANT_BRIDGE },
+    { key: 'bridge', label: 'Bridge node', border: BRIDGE_NODE_CONFIG.REGULAR_BRIDGE },
+    { key: 'other', label: 'Other node', border: null }
+];
+
+const LEGEND_CHANNEL_CLASSES = [
+    { key: 'critical', label: 'Critical bridge channel', color: EDGE_HIGHLIGHT.IMPORTANT_BRIDGE },
+    { key: 'bridge', label: 'Bridge channel', color: EDGE_HIGHLIGHT.REGULAR_BRIDGE },
+    { key: 'other', label: 'Other channel', color: EDGE_HIGHLIGHT.DEFAULT }
+];
+
+/**
+ * Gets the legend class of a node from its bridge flags
+ * @param {Object} attrs - Node display attributes
+ * @returns {string} 'critical', 'bridge' or 'other'
+ */
+function getNodeBridgeClass(attrs) {
+    return attrs.isImportantBridgeNode ? 'critical' : attrs.isBridgeNode ? 'bridge' : 'other';
+}
+
+/**
+ * Gets the legend class of a channel from its bridge flags
+ * @param {Object} attrs - Edge display attributes
+ * @returns {string} 'critical', 'bridge' or 'other'
+ */
+function getChannelBridgeClass(attrs) {
+    return attrs.isImportantBridgeChannel ? 'critical' : attrs.isBridgeChannel ? 'bridge' : 'other';
+}
+
+/**
+ * Creates the interactive legend over the graph
+ * Entries are generated from CLUSTER_COLORS, BRIDGE_NODE_CONFIG and EDGE_HIGHLIGHT for the
+ * classes present in the data; clicking an entry toggles it, the crosshair isolates it
+ * @param {Object} graph - Graphology graph instance
+ * @param {Object} visibility - Visibility manager (hidden entries form the 'legend' layer)
+ * @param {Object} sizeCalculators - Size calculators of the loaded dataset (scale keys)
+ * @param {Object} listenerOptions - addEventListener options carrying the dataset's abort signal
+ */
+function createLegend(graph, visibility, sizeCalculators, listenerOptions) {
+    const content = document.getElementById('legend-content');
+    if (!content) return;
+    
+    const hidden = {
+        cluster: new Set(),
+        node: new Set(),
+        channel: new Set()
+    };
+    
+    const clusterKey = attrs => (attrs.cluster === undefined || attrs.cluster === null) ? 'none' : String(attrs.cluster);
+    
+    function applyLayer() {
+        const active = hidden.cluster.size > 0 || hidden.node.size > 0 || hidden.channel.size > 0;
+        visibility.setLayer('legend', active ? {
+            node: nodeId => {
+                const attrs = graph.getNodeAttributes(nodeId).attributes;
+                return !hidden.cluster.has(clusterKey(attrs)) && !hidden.node.has(getNodeBridgeClass(attrs));
+            },
+            edge: edgeId => !hidden.channel.has(getChannelBridgeClass(graph.getEdgeAttributes(edgeId).attributes)),
+            metaNode: nodeId => !hidden.cluster.has(String(graph.getNodeAttribute(nodeId, 'cluster')))
+        } : null);
+        visibility.recompute();
+    }
+    
+    function entry(group, key, swatch, label, count) {
+        const isHidden = hidden[group].has(key);
+        return `
+            <div class="legend-item${isHidden ? ' muted' : ''}" data-group="${group}" data-key="${escapeXml(key)}" title="Click to show or hide">
+                ${swatch}
+                <span class="legend-text">${escapeXml(label)}</span>
+                <span class="legend-count">${count.toLocaleString()}</span>
+                <button class="legend-isolate" data-group="${group}" data-key="${escapeXml(key)}" title="Show only this entry">
+                    <i class="fas fa-crosshairs"></i>
+                </button>
+            </div>
+        `;
+    }
+    
+    function render() {
+        const clusterCounts = new Map();
+        const nodeCounts = new Map();
+        const channelCounts = new Map();
+        graph.forEachNode((nodeId, nodeAttributes) => {
+            if (!isNetworkItem(nodeAttributes)) return;
+            const attrs = nodeAttributes.attributes;
+            const cluster = clusterKey(attrs);
+            clusterCounts.set(cluster, (clusterCounts.get(cluster) || 0) + 1);
+            const bridgeClass = getNodeBridgeClass(attrs);
+            nodeCounts.set(bridgeClass, (nodeCounts.get(bridgeClass) || 0) + 1);
+        });
+        graph.forEachEdge((edgeId, edgeAttributes) => {
+            if (!isNetworkItem(edgeAttributes)) return;
+            const bridgeClass = getChannelBridgeClass(edgeAttributes.attributes);
+            channelCounts.set(bridgeClass, (channelCounts.get(bridgeClass) || 0) + 1);
+        });
+        
+        const clusters = [...clusterCounts.keys()].sort((a, b) => {
+            if (a === 'none') return 1;
+            if (b === 'none') return -1;
+            return Number(a) - Number(b);
+        });
+        const clusterEntries = clusters.map(cluster => entry(
+            'cluster', cluster,
+            `<span class="legend-color" style="background: ${cluster === 'none' ? CLUSTER_COLORS.DEFAULT : getClusterColor(cluster)};"></span>`,
+            cluster === 'none' ? 'No cluster' : `Cluster ${cluster}`,
+            clusterCounts.get(cluster)
+        )).join('');
+        
+        const nodeEntries = LEGEND_NODE_CLASSES.filter(item => nodeCounts.has(item.key)).map(item => entry(
+            'node', item.key,
+            `<span class="legend-color" style="background: ${CLUSTER_COLORS.DEFAULT};${item.border ? ` border: ${item.border.borderWidth}px solid ${item.border.borderColor};` : ''}"></span>`,
+            item.label,
+            nodeCounts.get(item.key)
+        )).join('');
+        
+        const channelEntries = LEGEND_CHANNEL_CLASSES.filter(item => channelCounts.has(item.key)).map(item => entry(
+            'channel', item.key,
+            `<span class="legend-line" style="background: ${item.color};"></span>`,
+            item.label,
+            channelCounts.get(item.key)
+        )).join('');
+        
+        // Scale keys: ends and logarithmic midpoint of the ranges used by createSizeCalculators
+        const nodeRange = sizeCalculators.nodeSizeRange;
+        const edgeRange = sizeCalculators.edgeWidthRange;
+        const samples = range => {
+            const min = Math.max(range.minValue, 1);
+            const max = Math.max(range.maxValue, min);
+            return [...new Set([min, Math.round(Math.sqrt(min * max)), max])];
+        };
+        const nodeScale = samples(nodeRange).map(channels => {
+            const size = sizeCalculators.nodeSize(channels);
+            return `
+                <div class="legend-scale-item">
+                    <span class="legend-scale-circle" style="width: ${size * 2}px; height: ${size * 2}px;"></span>
+                    <span>${channels.toLocaleString()}</span>
+                </div>
+            `;
+        }).join('');
+        const edgeScale = samples(edgeRange).map(capacity => `
+            <div class="legend-scale-item">
+                <span class="legend-scale-line" style="height: ${Math.max(sizeCalculators.edgeWidth(capacity), 0.5) * 2}px;"></span>
+                <span>${formatCapacity(capacity)}</span>
+            </div>
+        `).join('');
+        
+        const anyHidden = hidden.cluster.size > 0 || hidden.node.size > 0 || hidden.channel.size > 0;
+        content.innerHTML = `
+            <div class="legend-section-title">Clusters</div>
+            ${clusterEntries}
+            <div class="legend-section-title">Nodes</div>
+            ${nodeEntries}
+            <div class="legend-section-title">Channels</div>
+            ${channelEntries}
+            <div class="legend-section-title">Node size (channels)</div>
+            <div class="legend-scale">${nodeScale}</div>
+            <div class="legend-section-title">Channel width (capacity)</div>
+            <div class="legend-scale legend-scale-vertical">${edgeScale}</div>
+            ${anyHidden ? '<button class="legend-reset">Show all</button>' : ''}
+        `;
+    }
+    
+    content.addEventListener('click', (e) => {
+        if (e.target.closest('.legend-reset')) {
+            Object.values(hidden).forEach(set => set.clear());
+            applyLayer();
+            return;
+        }
+        
+        const isolate = e.target.closest('.legend-isolate');
+        if (isolate) {
+            const { group, key } = isolate.dataset;
+            const items = [...content.querySelectorAll(`.legend-item[data-group="${group}"]`)].map(item => item.dataset.key);
+            // Isolating the only visible entry again shows the whole group
+            const alreadyIsolated = items.every(item => item === key ? !hidden[group].has(item) : hidden[group].has(item));
+            hidden[group].clear();
+            if (!alreadyIsolated) items.filter(item => item !== key).forEach(item => hidden[group].add(item));
+            applyLayer();
+            return;
+        }
+        
+        const item = e.target.closest('.legend-item');
+        if (item) {
+            const { group, key } = item.dataset;
+            if (hidden[group].has(key)) hidden[group].delete(key); else hidden[group].add(key);
+            applyLayer();
+        }
+    }, listenerOptions);
+    
+    // Counts and clusters follow reclustering and snapshot comparisons
+    visibility.onChange(render);
+    render();
+}
+
+// =============================================================================
+// CLUSTER OVERVIEW
+// =============================================================================
+
+const CLUSTER_OVERVIEW_CONFIG = {
+    TOP_NODES: 3,          // Nodes listed per cluster, by pleb rank
+    FIT_PADDING: 1.3,      // Camera ratio multiplier around the cluster's bounding box
+    MIN_RATIO: 0.05,       // Closest zoom when fitting small clusters
+    FIT_DURATION: 500      // Camera animation when isolating a cluster (ms)
+};
+
+/**
+ * Computes per-cluster statistics from node clusters and channel endpoints
+ * Capacity shares use node total capacity; channels are split into those inside the
+ * cluster and those leading to other clusters. Closed snapshot-only and meta items are skipped.
+ * @param {Object} graph - Graphology graph instance
+ * @returns {Array} Cluster statistics, largest cluster first
+ */
+function computeClusterOverview(graph) {
+    const clusters = new Map();
+    let networkCapacity = 0;
+    
+    graph.forEachNode((nodeId, nodeAttributes) => {
+        if (!isNetworkItem(nodeAttributes)) return;
+        const attrs = nodeAttributes.attributes;
+        const capacity = nodeAttributes.record.total_capacity || 0;
+        networkCapacity += capacity;
+        if (attrs.cluster === undefined || attrs.cluster === null) return;
+        
+        if (!clusters.has(attrs.cluster)) {
+            clusters.set(attrs.cluster, {
+                cluster: attrs.cluster,
+                nodes: 0,
+                capacity: 0,
+                internalChannels: 0,
+                externalChannels: 0,
+                bridgeNodes: 0,
+                connectedClusters: new Set(),
+                ranked: []
+            });
+        }
+        const stats = clusters.get(attrs.cluster);
+        stats.nodes++;
+        stats.capacity += capacity;
+        
+        // Bridge nodes into other clusters, from bridges_clusters / cluster_connections
+        const otherClusters = (attrs.bridgesClusters || []).filter(cluster => cluster !== attrs.cluster);
+        if (attrs.clusterConnections > 1 || otherClusters.length > 0) {
+            stats.bridgeNodes++;
+            otherClusters.forEach(cluster => stats.connectedClusters.add(cluster));
+        }
+        
+        const rank = parseInt(attrs.plebRank);
+        if (!isNaN(rank)) stats.ranked.push({ nodeId, rank, label: nodeAttributes.label });
+    });
+    
+    graph.forEachEdge((edgeId, edgeAttributes, source, target, sourceAttributes, targetAttributes) => {
+        if (!isNetworkItem(edgeAttributes)) return;
+        const sourceCluster = clusters.get(sourceAttributes.attributes.cluster);
+        const targetCluster = clusters.get(targetAttributes.attributes.cluster);
+        if (sourceCluster && sourceCluster === targetCluster) {
+            sourceCluster.internalChannels++;
+            return;
+        }
+        if (sourceCluster) sourceCluster.externalChannels++;
+        if (targetCluster) targetCluster.externalChannels++;
+    });
+    
+    return [...clusters.values()]
+        .map(stats => ({
+            cluster: stats.cluster,
+            nodes: stats.nodes,
+            capacity: stats.capacity,
+            share: networkCapacity > 0 ? stats.capacity / networkCapacity : 0,
+            internalChannels: stats.internalChannels,
+            externalChannels: stats.externalChannels,
+            bridgeNodes: stats.bridgeNodes,
+            connectedClusters: [...stats.connectedClusters].sort((a, b) => a - b),
+            topNodes: stats.ranked.sort((a, b) => a.rank - b.rank).slice(0, CLUSTER_OVERVIEW_CONFIG.TOP_NODES)
+        }))
+        .sort((a, b) => b.nodes - a.nodes || a.cluster - b.cluster);
+}
+
+/**
+ * Moves the camera to the bounding box of the given nodes
+ * @param {Object} renderer - Sigma.js renderer instance
+ * @param {Array} nodeIds - Nodes to fit into the view
+ */
+function fitCameraToNodes(renderer, nodeIds) {
+    let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+    nodeIds.forEach(nodeId => {
+        const data = renderer.getNodeDisplayData(nodeId);
+        if (!data) return;
+        minX = Math.min(minX, data.x);
+        minY = Math.min(minY, data.y);
+        maxX = Math.max(maxX, data.x);
+        maxY = Math.max(maxY, data.y);
+    });
+    if (minX === Infinity) return;
+    
+    // Display data uses normalized coordinates, where ratio 1 shows the whole graph
+    renderer.getCamera().animate({
+        x: (minX + maxX) / 2,
+        y: (minY + maxY) / 2,
+        ratio: Math.max((maxX - minX) * CLUSTER_OVERVIEW_CONFIG.FIT_PADDING,
+                        (maxY - minY) * CLUSTER_OVERVIEW_CONFIG.FIT_PADDING,
+                        CLUSTER_OVERVIEW_CONFIG.MIN_RATIO)
+    }, { duration: CLUSTER_OVERVIEW_CONFIG.FIT_DURATION });
+}
+
+/**
+ * Wires the Clusters tab: lists every cluster with its statistics; clicking one shows only
+ * that cluster (without the one-hop neighbors a "cluster N" search adds) and fits the camera
+ * @param {Object} graph - Graphology graph instance
+ * @param {Object} renderer - Sigma.js renderer instance
+ * @param {Object} visibility - Visibility manager (the isolated cluster forms the 'cluster' layer)
+ * @param {Object} listenerOptions - addEventListener options carrying the dataset's abort signal
+ */
+function setupClusterOverview(graph, renderer, visibility, listenerOptions) {
+    const container = document.getElementById('cluster-overview');
+    if (!container) return;
+    
+    let activeCluster = null;
+    
+    function isolate(cluster) {
+        activeCluster = cluster;
+        visibility.setLayer('cluster', cluster === null ? null : {
+            node: nodeId => graph.getNodeAttributes(nodeId).attributes.cluster === cluster,
+            metaNode: nodeId => graph.getNodeAttribute(nodeId, 'cluster') === cluster
+        });
+        visibility.recompute();
+        
+        if (cluster === null) {
+            renderer.getCamera().animatedReset({ duration: CLUSTER_OVERVIEW_CONFIG.FIT_DURATION });
+        } else {
+            fitCameraToNodes(renderer, graph.filterNodes((nodeId, attributes) => !attributes.hidden));
+        }
+    }
+    
+    function render() {
+        const overview = computeClusterOverview(graph);
+        if (overview.length === 0) {
+            container.innerHTML = '<div class="route-message">This dataset has no clusters.</div>';
+            return;
+        }
+        
+        const cards = overview.map(stats => {
+            const topNodes = stats.topNodes.map(node =>
+                `<li>${escapeXml(node.label)} <span class="info-label">#${node.rank.toLocaleString()}</span></li>`
+            ).join('');
+            return `
+                <div class="cluster-card${stats.cluster === activeCluster ? ' active' : ''}" data-cluster="${escapeXml(stats.cluster)}" title="Click to show only this cluster">
+                    <div class="cluster-card-title">
+                        <span class="cluster-swatch" style="background: ${getClusterColor(stats.cluster)};"></span>
+                        Cluster ${escapeXml(stats.cluster)}
+                        <span class="cluster-card-count">${stats.nodes.toLocaleString()} nodes</span>
+                    </div>
+                    <div><span class="info-label">Capacity:</span> ${formatCapacity(stats.capacity)} (${(stats.share * 100).toFixed(1)}%)</div>
+                    <div class="cluster-share"><div class="cluster-share-fill" style="width: ${(stats.share * 100).toFixed(1)}%;"></div></div>
+                    <div><span class="info-label">Channels:</span> ${stats.internalChannels.toLocaleString()} inside, ${stats.externalChannels.toLocaleString()} to other clusters</div>
+                    <div><span class="info-label">Bridge nodes:</span> ${stats.bridgeNodes.toLocaleString()}${stats.connectedClusters.length > 0 ? ` into clusters ${escapeXml(stats.connectedClusters.join(', '))}` : ''}</div>
+                    ${topNodes ? `<div><span class="info-label">Top by pleb rank:</span></div><ol class="cluster-top-nodes">${topNodes}</ol>` : ''}
+                </div>
+            `;
+        }).join('');
+        
+        container.innerHTML = `
+            <div class="cluster-overview-header">
+                <span>${overview.length.toLocaleString()} clusters</span>
+                ${activeCluster !== null ? '<button class="filter-btn secondary" id="cluster-show-all"><i class="fas fa-times"></i> Show all</button>' : ''}
+            </div>
+            ${cards}
+        `;
+    }
+    
+    container.addEventListener('click', (e) => {
+        if (e.target.closest('#cluster-show-all')) {
+            isolate(null);
+            return;
+        }
+        
+        const card = e.target.closest('.cluster-card');
+        if (!card) return;
+        const cluster = Number(card.dataset.cluster);
+        // Clicking the isolated cluster again shows the whole network
+        isolate(cluster === activeCluster ? null : cluster);
+    }, listenerOptions);
+    
+    // Statistics follow reclustering and snapshot comparisons
+    visibility.onChange(render);
+    render();
+}
+
+// =============================================================================
+// CLUSTER COLLAPSE
+// =============================================================================
+
+const CLUSTER_META_CONFIG = {
+    NODE_SIZE: { min: 8, max: 36 },    // Super-node size range, by total member capacity
+    EDGE_WIDTH: { min: 1, max: 8 },    // Meta-edge width range, by aggregated capacity
+    EDGE_COLOR: '#9CA3AF'
+};
+
+/**
+ * Scales a value onto a size range, logarithmically between the smallest and largest value
+ * @param {number} value - Value to scale
+ * @param {number} min - Smallest value
+ * @param {number} max - Largest value
+ * @param {Object} range - { min, max } output range
+ * @returns {number} Scaled size
+ */
+function scaleMetaSize(value, min, max, range) {
+    if (max <= min) return range.max;
+    const normalized = (Math.log(Math.max(value, 1)) - Math.log(Math.max(min, 1))) /
+                       (Math.log(Math.max(max, 1)) - Math.log(Math.max(min, 1)));
+    return range.min + Math.max(0, Math.min(1, normalized || 0)) * (range.max - range.min);
+}
+
+/**
+ * Creates the collapsed-cluster view: every collapsed cluster is replaced by one super-node at
+ * its members' centroid, joined by meta-edges that aggregate the channels between clusters
+ * Super-nodes and meta-edges are added to the same graph with `isMeta: true` and rebuilt
+ * whenever the set of collapsed clusters changes; double-clicking a super-node expands it.
+ * @param {Object} graph - Graphology graph instance
+ * @param {Object} renderer - Sigma.js renderer instance
+ * @param {Object} visibility - Visibility manager (collapsed members form the 'collapse' layer)
+ * @param {Object} listenerOptions - addEventListener options carrying the dataset's abort signal
+ * @returns {Object} Cluster collapse API
+ */
+function createClusterCollapse(graph, renderer, visibility, listenerOptions) {
+    const collapseButton = document.getElementById('cluster-collapse-all');
+    const expandButton = document.getElementById('cluster-expand-all');
+    const collapsed = new Set();
+    
+    const clusterOf = nodeId => graph.getNodeAttributes(nodeId).attributes.cluster;
+    const hasCluster = cluster => cluster !== undefined && cluster !== null;
+    
+    function removeMetaItems() {
+        // Dropping a super-node also drops its meta-edges
+        graph.filterNodes((nodeId, attributes) => attributes.isMeta).forEach(nodeId => graph.dropNode(nodeId));
+    }
+    
+    /**
+     * Replaces the meta items for the current set of collapsed clusters
+     * Callers recompute visibility afterwards
+     */
+    function rebuild() {
+        removeMetaItems();
+        
+        const members = new Map();
+        graph.forEachNode((nodeId, nodeAttributes) => {
+            const cluster = nodeAttributes.attributes.cluster;
+            if (!collapsed.has(cluster) || !isNetworkItem(nodeAttributes)) return;
+            if (!members.has(cluster)) {
+                members.set(cluster, { x: 0, y: 0, nodes: 0, capacity: 0, internalChannels: 0 });
+            }
+            const stats = members.get(cluster);
+            stats.x += nodeAttributes.x;
+            stats.y += nodeAttributes.y;
+            stats.nodes++;
+            stats.capacity += nodeAttributes.record.total_capacity || 0;
+        });
+        // Clusters removed by reclustering cannot stay collapsed
+        [...collapsed].filter(cluster => !members.has(cluster)).forEach(cluster => collapsed.delete(cluster));
+        
+        if (collapsed.size === 0) {
+            visibility.setLayer('collapse', null);
+            return;
+        }
+        
+        // Channels between clusters (connects_clusters where present) are aggregated per pair
+        // of endpoints, where members of collapsed clusters are represented by their super-node
+        const metaIdOf = cluster => `cluster:${cluster}`;
+        const aggregated = new Map();
+        graph.forEachEdge((edgeId, edgeAttributes, source, target, sourceAttributes, targetAttributes) => {
+            if (!isNetworkItem(edgeAttributes)) return;
+            const attrs = edgeAttributes.attributes;
+            const sourceCluster = sourceAttributes.attributes.cluster;
+            const targetCluster = targetAttributes.attributes.cluster;
+            const isInterCluster = attrs.connectsClusters !== undefined
+                ? attrs.connectsClusters !== null
+                : hasCluster(sourceCluster) && hasCluster(targetCluster) && sourceCluster !== targetCluster;
+            const from = collapsed.has(sourceCluster) ? metaIdOf(sourceCluster) : source;
+            const to = collapsed.has(targetCluster) ? metaIdOf(targetCluster) : target;
+            
+            if (from === to) {
+                if (collapsed.has(sourceCluster) && !isInterCluster) {
+                    members.get(sourceCluster).internalChannels += attrs.channelCount || 1;
+                }
+                return;
+            }
+            if (from === source && to === target) return;
+            
+            const key = from < to ? `${from}|${to}` : `${to}|${from}`;
+            if (!aggregated.has(key)) {
+                aggregated.set(key, { from, to, capacity: 0, channels: 0, peerPairs: 0, interCluster: 0 });
+            }
+            const meta = aggregated.get(key);
+            meta.capacity += attrs.capacity || 0;
+            meta.channels += attrs.channelCount || 1;
+            meta.peerPairs++;
+            if (isInterCluster) meta.interCluster++;
+        });
+        
+        const capacities = [...members.values()].map(stats => stats.capacity);
+        const minCapacity = Math.min(...capacities);
+        const maxCapacity = Math.max(...capacities);
+        members.forEach((stats, cluster) => {
+            graph.addNode(metaIdOf(cluster), {
+                isMeta: true,
+                cluster: cluster,
+                x: stats.x / stats.nodes,
+                y: stats.y / stats.nodes,
+                size: scaleMetaSize(stats.capacity, minCapacity, maxCapacity, CLUSTER_META_CONFIG.NODE_SIZE),
+                color: getClusterColor(cluster),
+                label: `Cluster ${cluster}`,
+                forceLabel: true,
+                members: stats.nodes,
+                capacity: stats.capacity,
+                internalChannels: stats.internalChannels
+            });
+        });
+        
+        const edgeCapacities = [...aggregated.values()].map(meta => meta.capacity);
+        const minEdgeCapacity = Math.min(...edgeCapacities);
+        const maxEdgeCapacity = Math.max(...edgeCapacities);
+        aggregated.forEach((meta, key) => {
+            graph.addEdgeWithKey(`meta:${key}`, meta.from, meta.to, {
+                isMeta: true,
+                size: scaleMetaSize(meta.capacity, minEdgeCapacity, maxEdgeCapacity, CLUSTER_META_CONFIG.EDGE_WIDTH),
+                color: CLUSTER_META_CONFIG.EDGE_COLOR,
+                capacity: meta.capacity,
+                channels: meta.channels,
+                peerPairs: meta.peerPairs,
+                interCluster: meta.interCluster
+            });
+        });
+        
+        visibility.setLayer('collapse', {
+            node: nodeId => !collapsed.has(clusterOf(nodeId))
+        });
+    }
+    
+    function collapseAll() {
+        graph.forEachNode((nodeId, nodeAttributes) => {
+            if (!nodeAttributes.isMeta && hasCluster(nodeAttributes.attributes.cluster)) {
+                collapsed.add(nodeAttributes.attributes.cluster);
+            }
+        });
+        rebuild();
+        visibility.recompute();
+    }
+    
+    function expand(cluster) {
+        if (cluster === undefined) {
+            collapsed.clear();
+        } else {
+            collapsed.delete(cluster);
+        }
+        rebuild();
+        visibility.recompute();
+    }
+    
+    if (collapseButton) collapseButton.addEventListener('click', collapseAll, listenerOptions);
+    if (expandButton) expandButton.addEventListener('click', () => expand(), listenerOptions);
+    
+    renderer.on('doubleClickNode', event => {
+        const nodeAttributes = graph.getNodeAttributes(event.node);
+        if (!nodeAttributes.isMeta) return;
+        // Expand instead of zooming in
+        event.preventSigmaDefault();
+        expand(nodeAttributes.cluster);
+    });
+    
+    return {
+        rebuild,
+        isCollapsed: cluster => collapsed.has(cluster)
+    };
+}
+
+// =============================================================================
+// STATISTICS DASHBOARD
+// =============================================================================
+
+const STATS_DASHBOARD_CONFIG = {
+    WIDTH: 260,             // Chart width (px, scaled to the sidebar)
+    HISTOGRAM_HEIGHT: 60,   // Histogram bar area height (px)
+    BOX_HEIGHT: 12,         // Box plot height (px)
+    PADDING: 8,             // Horizontal chart padding (px)
+    BINS: 16,               // Histogram bins on the log axis
+    TIERS: ['Freeway', 'Highway', 'My Way']
+};
+
+/**
+ * Formats a log-axis tick value in short form (0.001, 1, 10, 100, 1K, 10M, 1B)
+ * @param {number} value - Tick value
+ * @returns {string} Short label
+ */
+function formatAxisValue(value) {
+    const short = number => String(Number(number.toFixed(number < 10 ? 1 : 0)));
+    if (value >= 1e9) return `${short(value / 1e9)}B`;
+    if (value >= 1e6) return `${short(value / 1e6)}M`;
+    if (value >= 1e3) return `${short(value / 1e3)}K`;
+    if (value > 0 && value < 1) return String(Number(value.toPrecision(1)));
+    return short(value);
+}
+
+/**
+ * Renders a histogram with a box plot below it, sharing one logarithmic axis
+ * @param {Array} sortedValues - Positive values, sorted ascending
+ * @param {Object} stats - { min, q25, median, q75, max, avg } of the values
+ * @returns {string} SVG markup
+ */
+function renderLogDistribution(sortedValues, stats) {
+    const { WIDTH, HISTOGRAM_HEIGHT, BOX_HEIGHT, PADDING, BINS } = STATS_DASHBOARD_CONFIG;
+    // The axis starts at the smallest value, so metrics below 1 (e.g. betweenness) keep their spread
+    const floor = sortedValues[0] > 0 ? sortedValues[0] : 1;
+    const logOf = value => Math.log10(Math.max(value, floor));
+    const low = logOf(floor);
+    const high = Math.max(logOf(stats.max), low + 1);
+    const x = value => PADDING + (logOf(value) - low) / (high - low) * (WIDTH - 2 * PADDING);
+    
+    const counts = new Array(BINS).fill(0);
+    sortedValues.forEach(value => {
+        const bin = Math.floor((logOf(value) - low) / (high - low) * BINS);
+        counts[Math.max(0, Math.min(BINS - 1, bin))]++;
+    });
+    const maxCount = Math.max(...counts, 1);
+    const binWidth = (WIDTH - 2 * PADDING) / BINS;
+    const binEdge = index => Math.pow(10, low + (high - low) * index / BINS);
+    
+    const bars = counts.map((count, index) => {
+        const height = count / maxCount * HISTOGRAM_HEIGHT;
+        return `<rect class="stats-bar" x="${PADDING + index * binWidth + 0.5}" y="${HISTOGRAM_HEIGHT - height}" width="${Math.max(binWidth - 1, 1)}" height="${height}">` +
+            `<title>${formatAxisValue(binEdge(index))}–${formatAxisValue(binEdge(index + 1))}: ${count.toLocaleString()}</title></rect>`;
+    }).join('');
+    
+    const boxTop = HISTOGRAM_HEIGHT + 6;
+    const boxMiddle = boxTop + BOX_HEIGHT / 2;
+    const box = `
+        <line class="stats-whisker" x1="${x(stats.min)}" y1="${boxMiddle}" x2="${x(stats.max)}" y2="${boxMiddle}"/>
+        <line class="stats-whisker" x1="${x(stats.min)}" y1="${boxTop + 2}" x2="${x(stats.min)}" y2="${boxTop + BOX_HEIGHT - 2}"/>
+        <line class="stats-whisker" x1="${x(stats.max)}" y1="${boxTop + 2}" x2="${x(stats.max)}" y2="${boxTop + BOX_HEIGHT - 2}"/>
+        <rect class="stats-box" x="${x(stats.q25)}" y="${boxTop}" width="${Math.max(x(stats.q75) - x(stats.q25), 1)}" height="${BOX_HEIGHT}"/>
+        <line class="stats-median" x1="${x(stats.median)}" y1="${boxTop}" x2="${x(stats.median)}" y2="${boxTop + BOX_HEIGHT}"/>
+        <circle class="stats-average" cx="${x(stats.avg)}" cy="${boxMiddle}" r="2.5"><title>Average</title></circle>
+    `;
+    
+    // Ticks at powers of ten, plus the ends when the range spans less than two of them
+    const axisTop = boxTop + BOX_HEIGHT + 4;
+    let tickValues = [];
+    for (let power = Math.ceil(low); power <= Math.floor(high); power++) tickValues.push(Math.pow(10, power));
+    if (tickValues.length < 2) tickValues = [stats.min, ...tickValues, stats.max].sort((a, b) => a - b);
+    // Drop ticks whose labels would overlap the previous one
+    tickValues = tickValues.filter((value, index, all) => index === 0 || x(value) - x(all[index - 1]) >= 30);
+    const ticks = tickValues.map(value => {
+        const anchor = x(value) < 20 ? 'start' : x(value) > WIDTH - 20 ? 'end' : 'middle';
+        return `
+            <line class="stats-tick" x1="${x(value)}" y1="${axisTop}" x2="${x(value)}" y2="${axisTop + 3}"/>
+            <text class="stats-tick-label" x="${x(value)}" y="${axisTop + 13}" text-anchor="${anchor}">${formatAxisValue(value)}</text>
+        `;
+    }).join('');
+    
+    const height = axisTop + 16;
+    return `
+        <svg class="stats-chart" viewBox="0 0 ${WIDTH} ${height}" width="100%" preserveAspectRatio="xMidYMid meet">
+            ${bars}
+            ${box}
+            <line class="stats-axis" x1="${PADDING}" y1="${axisTop}" x2="${WIDTH - PADDING}" y2="${axisTop}"/>
+            ${ticks}
+        </svg>
+    `;
+}
+
+/**
+ * Renders labelled horizontal bars
+ * @param {Array} items - [{ label, value, text }], drawn in the given order
+ * @returns {string} HTML markup
+ */
+function renderStatsBars(items) {
+    const total = items.reduce((sum, item) => sum + item.value, 0);
+    const max = Math.max(...items.map(item => item.value), 1);
+    return items.map(item => `
+        <div class="stats-bar-row">
+            <div class="stats-bar-label">
+                <span>${item.label}</span>
+                <span>${item.text} (${total > 0 ? (item.value / total * 100).toFixed(1) : '0.0'}%)</span>
+            </div>
+            <div class="cluster-share"><div class="cluster-share-fill" style="width: ${(item.value / max * 100).toFixed(1)}%;"></div></div>
+        </div>
+    `).join('');
+}
+
+/**
+ * Computes the dashboard distributions for the visible nodes and channels
+ * Box plots reuse calculateDataStats; histograms use the same positive values
+ * @param {Object} graph - Graphology graph instance
+ * @param {Object} visibility - Visibility manager of the graph
+ * @returns {Object} Distributions, tier capacity and node type counts
+ */
+function computeVisibleStatistics(graph, visibility) {
+    const { nodes, edges } = collectVisibleSubgraph(graph, visibility);
+    const nodeRecords = nodes.map(node => node.record);
+    const edgeRecords = edges.map(edge => edge.record);
+    const stats = calculateDataStats(nodeRecords, edgeRecords);
+    const positiveSorted = values => values.filter(value => value > 0).sort((a, b) => a - b);
+    
+    // Degree: number of visible peers of each visible node
+    const degrees = new Map(nodeRecords.map(record => [record.id, 0]));
+    edgeRecords.forEach(record => {
+        degrees.set(record.source, degrees.get(record.source) + 1);
+        degrees.set(record.target, degrees.get(record.target) + 1);
+    });
+    const degreeValues = positiveSorted([...degrees.values()]);
+    
+    const tiers = new Map(STATS_DASHBOARD_CONFIG.TIERS.map(tier => [tier, { capacity: 0, channels: 0 }]));
+    edgeRecords.forEach(record => {
+        (record.channels || []).forEach(channel => {
+            const tier = channel.tier || 'Unknown';
+            if (!tiers.has(tier)) tiers.set(tier, { capacity: 0, channels: 0 });
+            tiers.get(tier).capacity += channel.capacity || 0;
+            tiers.get(tier).channels++;
+        });
+    });
+    
+    const nodeTypes = new Map();
+    nodeRecords.forEach(record => {
+        const types = String(record.node_type || '').split(',').map(type => type.trim()).filter(Boolean);
+        (types.length > 0 ? types : ['Unknown']).forEach(type => nodeTypes.set(type, (nodeTypes.get(type) || 0) + 1));
+    });
+    
+    return {
+        nodeCount: nodeRecords.length,
+        edgeCount: edgeRecords.length,
+        distributions: [
+            { title: 'Channel capacity (sats, per peer pair)', stats: stats.channelSize, format: formatCapacity,
+              values: positiveSorted(edgeRecords.map(record => record.capacity || 0)) },
+            { title: 'Node channel count', stats: stats.channels, format: value => Math.round(value).toLocaleString(),
+              values: positiveSorted(nodeRecords.map(record => record.total_channels || 0)) },
+            { title: 'Node capacity (sats)', stats: stats.nodeCapacity, format: formatCapacity,
+              values: positiveSorted(nodeRecords.map(record => record.total_capacity || 0)) },
+            { title: 'Node betweenness', stats: stats.betweenness, format: value => value.toLocaleString(undefined, { maximumSignificantDigits: 3 }),
+              values: positiveSorted(nodeRecords.map(record => record.node_betweenness || 0)) },
+            { title: 'Degree (visible peers)', stats: { ...calculatePercentiles(degreeValues), count: degreeValues.length },
+              format: value => Math.round(value).toLocaleString(), values: degreeValues }
+        ],
+        tiers: [...tiers.entries()].filter(([tier, totals]) => totals.channels > 0 || STATS_DASHBOARD_CONFIG.TIERS.includes(tier)),
+        nodeTypes: [...nodeTypes.entries()].sort((a, b) => b[1] - a[1])
+    };
+}
+
+/**
+ * Wires the Statistics tab: distributions of the visible subgraph, recomputed as filters,
+ * search and other visibility layers change (only while the tab is shown)
+ * @param {Object} graph - Graphology graph instance
+ * @param {Object} visibility - Visibility manager (its changes trigger a recompute)
+ * @param {Object} listenerOptions - addEventListener options carrying the dataset's abort signal
+ */
+function setupStatisticsDashboard(graph, visibility, listenerOptions) {
+    const container = document.getElementById('stats-dashboard');
+    const tab = document.getElementById('tab-stats');
+    if (!container) return;
+    
+    let stale = true;
+    const isShown = () => !tab || tab.style.display !== 'none';
+    
+    function render() {
+        stale = false;
+        const statistics = computeVisibleStatistics(graph, visibility);
+        
+        const distributions = statistics.distributions.map(distribution => {
+            const { stats, values, format } = distribution;
+            const body = values.length === 0
+                ? '<div class="route-message">Not available for the visible nodes.</div>'
+                : `
+                    ${renderLogDistribution(values, stats)}
+                    <div class="stats-caption">
+                        Median ${format(stats.median)} · Q1–Q3 ${format(stats.q25)} – ${format(stats.q75)}<br>
+                        Average ${format(stats.avg)} · ${stats.count.toLocaleString()} values
+                    </div>
+                `;
+            return `
+                <div class="stats-section">
+                    <div class="stats-section-title">${distribution.title}</div>
+                    ${body}
+                </div>
+            `;
+        }).join('');
+        
+        const tiers = renderStatsBars(statistics.tiers.map(([tier, totals]) => ({
+            label: `${escapeXml(tier)} (${totals.channels.toLocaleString()})`,
+            value: totals.capacity,
+            text: formatCapacity(totals.capacity)
+        })));
+        const nodeTypes = renderStatsBars(statistics.nodeTypes.map(([type, count]) => ({
+            label: escapeXml(type),
+            value: count,
+            text: count.toLocaleString()
+        })));
+        
+        container.innerHTML = `
+            <div class="stats-summary">
+                ${statistics.nodeCount.toLocaleString()} nodes, ${statistics.edgeCount.toLocaleString()} peer connections visible
+            </div>
+            ${distributions}
+            <div class="stats-section">
+                <div class="stats-section-title">Capacity per tier (channels)</div>
+                ${tiers}
+            </div>
+            <div class="stats-section">
+                <div class="stats-section-title">Node types</div>
+                ${nodeTypes || '<div class="route-message">No node types in the visible nodes.</div>'}
+            </div>
+        `;
+    }
+    
+    // Recompute lazily: hidden tabs are refreshed when they are opened
+    visibility.onChange(() => {
+        if (isShown()) render(); else stale = true;
+    });
+    document.querySelectorAll('.sidebar-tab[data-tab="tab-stats"]').forEach(button => {
+        button.addEventListener('click', () => { if (stale) render(); }, listenerOptions);
+    });
+    if (isShown()) render();
+}
+
+// =============================================================================
+// NODE COMPARISON
+// =============================================================================
+
+// Colors of pinned nodes, in pin order (also used in the comparison table)
+const PIN_COLORS = ['#2563EB', '#DB2777', '#059669', '#7C3AED'];
+const MAX_PINNED_NODES = PIN_COLORS.length;
+
+// Direct channels between pinned nodes
+const PIN_CHANNEL_COLOR = '#111827';
+
+/**
+ * Reads category counts that may be stored as an object or a JSON string
+ * @param {Object|string} value - Category counts attribute
+ * @returns {Object} Category -> count (empty when unavailable)
+ */
+function parseCategoryCounts(value) {
+    try {
+        const counts = typeof value === 'string' ? JSON.parse(value) : value;
+        return counts && typeof counts === 'object' ? counts : {};
+    } catch (e) {
+        return {};
+    }
+}
+
+/**
+ * Finds the peers shared by the pinned nodes and the direct channels between them
+ * Closed snapshot-only channels and collapsed-cluster meta items are ignored.
+ * @param {Object} graph - Graphology graph instance
+ * @param {Array} pinned - Pinned node ids
+ * @returns {Object} { sharedPeers: [{ nodeId, pins: [] }], directChannels: [{ a, b, channels, capacity }] }
+ */
+function comparePinnedNodes(graph, pinned) {
+    const pinnedSet = new Set(pinned);
+    const peerPins = new Map();
+    const direct = new Map();
+    
+    pinned.forEach(nodeId => {
+        graph.forEachEdge(nodeId, (edgeId, edgeAttributes, source, target) => {
+            if (!isNetworkItem(edgeAttributes)) return;
+            const peer = source === nodeId ? target : source;
+            if (pinnedSet.has(peer)) {
+                // Each direct connection is seen from both ends; count it from the first pinned end
+                if (pinned.indexOf(peer) < pinned.indexOf(nodeId)) return;
+                const key = `${nodeId}|${peer}`;
+                if (!direct.has(key)) direct.set(key, { a: nodeId, b: peer, channels: 0, capacity: 0 });
+                direct.get(key).channels += edgeAttributes.attributes.channelCount || 1;
+                direct.get(key).capacity += edgeAttributes.attributes.capacity || 0;
+                return;
+            }
+            if (!peerPins.has(peer)) peerPins.set(peer, new Set());
+            peerPins.get(peer).add(nodeId);
+        });
+    });
+    
+    const sharedPeers = [...peerPins.entries()]
+        .filter(([, pins]) => pins.size > 1)
+        .map(([nodeId, pins]) => ({ nodeId, pins: pinned.filter(pin => pins.has(pin)) }))
+        .sort((a, b) => b.pins.length - a.pins.length ||
+            (graph.getNodeAttribute(b.nodeId, 'record').total_capacity || 0) - (graph.getNodeAttribute(a.nodeId, 'record').total_capacity || 0));
+    
+    return { sharedPeers, directChannels: [...direct.values()] };
+}
+
+/**
+ * Creates the node comparison: up to MAX_PINNED_NODES nodes pinned from the Node Information
+ * panel are compared side by side and stay highlighted while the selection changes
+ * @param {Object} graph - Graphology graph instance
+ * @param {Object} renderer - Sigma.js renderer instance
+ * @param {Object} visibility - Visibility manager (pinned nodes are drawn as an overlay)
+ * @param {Object} listenerOptions - addEventListener options carrying the dataset's abort signal
+ * @returns {Object} Node comparison API
+ */
+function createNodeComparison(graph, renderer, visibility, listenerOptions) {
+    const panel = document.getElementById('node-comparison');
+    const content = document.getElementById('comparison-content');
+    const pinned = [];
+    
+    const pinColor = nodeId => PIN_COLORS[pinned.indexOf(nodeId)];
+    
+    function applyOverlay() {
+        if (pinned.length === 0) {
+            visibility.setOverlay('pinned', null);
+            renderer.refresh();
+            return;
+        }
+        const directEdges = new Set();
+        pinned.forEach(nodeId => graph.forEachEdge(nodeId, (edgeId, attributes, source, target) => {
+            if (pinned.includes(source === nodeId ? target : source)) directEdges.add(edgeId);
+        }));
+        
+        visibility.setOverlay('pinned', {
+            node: (nodeId, res) => {
+                if (!pinned.includes(nodeId)) return;
+                res.color = pinColor(nodeId);
+                res.highlighted = true;
+                res.forceLabel = true;
+            },
+            edge: (edgeId, res) => {
+                if (!directEdges.has(edgeId)) return;
+                res.color = PIN_CHANNEL_COLOR;
+                res.size = Math.max(res.size || 1, 3);
+            }
+        });
+        renderer.refresh();
+    }
+    
+    function renderTable() {
+        if (!panel || !content) return;
+        // Closed snapshot nodes disappear when the comparison is cleared
+        for (let i = pinned.length - 1; i >= 0; i--) {
+            if (!graph.hasNode(pinned[i])) pinned.splice(i, 1);
+        }
+        panel.style.display = pinned.length > 0 ? 'block' : 'none';
+        if (pinned.length === 0) {
+            content.innerHTML = '';
+            return;
+        }
+        
+        const columns = pinned.map(nodeId => ({ nodeId, nodeAttributes: graph.getNodeAttributes(nodeId) }));
+        const categories = new Set();
+        columns.forEach(({ nodeAttributes }) => {
+            Object.keys(parseCategoryCounts(nodeAttributes.attributes.categoryCount)).forEach(category => categories.add(category));
+        });
+        
+        // Row labels (channel categories) and values come from the dataset, so both are escaped
+        const row = (label, value) => `
+            <tr><th>${escapeXml(label)}</th>${columns.map(({ nodeAttributes }) => `<td>${escapeXml(value(nodeAttributes.attributes, nodeAttributes))}</td>`).join('')}</tr>
+        `;
+        const bridgeStatus = attrs => attrs.isImportantBridgeNode ? 'Critical bridge' : attrs.isBridgeNode ? 'Bridge' : '—';
+        const header = columns.map(({ nodeId, nodeAttributes }) => `
+            <th>
+                <span class="snapshot-swatch" style="background: ${pinColor(nodeId)};"></span>${escapeXml(nodeAttributes.label)}
+                <button class="comparison-unpin" data-node="${escapeXml(nodeId)}" title="Unpin"><i class="fas fa-times"></i></button>
+            </th>
+        `).join('');
+        
+        const { sharedPeers, directChannels } = comparePinnedNodes(graph, pinned);
+        const label = nodeId => escapeXml(graph.getNodeAttribute(nodeId, 'label'));
+        const swatches = pins => pins.map(pin => `<span class="snapshot-swatch" style="background: ${pinColor(pin)};"></span>`).join('');
+        const sharedByAll = sharedPeers.filter(peer => peer.pins.length === pinned.length).length;
+        
+        content.innerHTML = `
+            <div class="comparison-table-wrapper">
+                <table class="comparison-table">
+                    <tr><th></th>${header}</tr>
+                    ${row('Cluster', attrs => attrs.cluster ?? '—')}
+                    ${row('Type', attrs => attrs.nodeType || 'Unknown')}
+                    ${row('Total Capacity', attrs => attrs.totalCapacity)}
+                    ${row('Total Channels', attrs => attrs.totalChannels)}
+                    ${row('Closed Channels', attrs => attrs.closedChannelsCount ?? 'N/A')}
+                    ${row('Pleb Rank', attrs => attrs.plebRank)}
+                    ${row('Capacity Rank', attrs => attrs.capacityRank)}
+                    ${row('Channels Rank', attrs => attrs.channelsRank)}
+                    ${[...categories].map(category => row(category, attrs => parseCategoryCounts(attrs.categoryCount)[category] ?? 0)).join('')}
+                    ${row('Bridge', attrs => bridgeStatus(attrs))}
+                    ${row('Bridges Clusters', attrs => (attrs.bridgesClusters || []).join(', ') || '—')}
+                    ${row('Birth Transaction', attrs => attrs.birthTx || 'N/A')}
+                </table>
+            </div>
+            ${pinned.length > 1 ? `
+                <div class="snapshot-summary-title">Direct channels</div>
+                ${directChannels.length === 0 ? '<div class="route-message">No channels between the pinned nodes.</div>' :
+                    `<ul class="snapshot-changes">${directChannels.map(direct => `
+                        <li>${swatches([direct.a, direct.b])}${label(direct.a)} ↔ ${label(direct.b)}:
+                            ${direct.channels} channel${direct.channels === 1 ? '' : 's'}, ${formatCapacity(direct.capacity)}</li>
+                    `).join('')}</ul>`}
+                <div class="snapshot-summary-title">Shared peers (${sharedPeers.length.toLocaleString()}, ${sharedByAll.toLocaleString()} shared by all)</div>
+                ${sharedPeers.length === 0 ? '<div class="route-message">The pinned nodes have no peers in common.</div>' :
+                    `<ul class="snapshot-changes">${sharedPeers.slice(0, 10).map(peer => `
+                        <li>${swatches(peer.pins)}${label(peer.nodeId)}</li>
+                    `).join('')}</ul>${sharedPeers.length > 10 ? `<div class="route-message">and ${(sharedPeers.length - 10).toLocaleString()} more</div>` : ''}`}
+            ` : '<div class="route-message">Pin another node to compare peers and channels.</div>'}
+            <div class="filter-actions">
+                <button class="filter-btn secondary" id="comparison-clear"><i class="fas fa-times"></i> Unpin All</button>
+            </div>
+        `;
+    }
+    
+    /**
+     * Shows the pin/unpin button for a node in the Node Information panel
+     */
+    function renderAction(nodeId) {
+        const nodeInfo = document.getElementById('node-info');
+        if (!nodeInfo) return;
+        
+        let container = nodeInfo.querySelector('.pin-action');
+        if (!container) {
+            container = document.createElement('div');
+            container.className = 'pin-action';
+            nodeInfo.appendChild(container);
+        }
+        const isPinned = pinned.includes(nodeId);
+        const isFull = !isPinned && pinned.length >= MAX_PINNED_NODES;
+        container.innerHTML = `
+            <button class="filter-btn secondary pin-toggle" data-node="${escapeXml(nodeId)}"${isFull ? ' disabled' : ''}>
+                <i class="fas fa-thumbtack"></i> ${isPinned ? 'Unpin' : isFull ? `Comparison Full (${MAX_PINNED_NODES})` : 'Pin to Compare'}
+            </button>
+        `;
+    }
+    
+    function toggle(nodeId) {
+        const index = pinned.indexOf(nodeId);
+        if (index >= 0) {
+            pinned.splice(index, 1);
+        } else if (pinned.length < MAX_PINNED_NODES) {
+            pinned.push(nodeId);
+        }
+        renderTable();
+        applyOverlay();
+    }
+    
+    const nodeInfo = document.getElementById('node-info');
+    if (nodeInfo) {
+        nodeInfo.addEventListener('click', (e) => {
+            const button = e.target.closest('.pin-toggle');
+            if (!button) return;
+            toggle(button.dataset.node);
+            renderAction(button.dataset.node);
+        }, listenerOptions);
+    }
+    
+    if (content) {
+        content.addEventListener('click', (e) => {
+            const unpin = e.target.closest('.comparison-unpin');
+            if (unpin) {
+                toggle(unpin.dataset.node);
+                return;
+            }
+            if (e.target.closest('#comparison-clear')) {
+                pinned.length = 0;
+                renderTable();
+                applyOverlay();
+            }
+        }, listenerOptions);
+    }
+    
+    // Clusters and bridge flags follow reclustering; snapshot nodes may be removed
+    visibility.onChange(renderTable);
+    renderTable();
+    
+    return {
+        renderAction,
+        isPinned: nodeId => pinned.includes(nodeId)
+    };
+}
+
+// =============================================================================
+// VIEW STATE (DEEP LINKS)
+// =============================================================================
+
+// URL parameters holding the view state; 'file' (the dataset) is managed by index.html
+const VIEW_STATE_PARAMS = ['q', 'node', 'cam', 'rank', 'bridges', 'channels', 'inter', 'multi',
+    'capmin', 'capmax', 'isolated', 'expr'];
+
+const VIEW_STATE_CONFIG = {
+    RECORD_DELAY: 400,    // ms of inactivity before the URL follows the view
+    CAMERA_DIGITS: 4      // Decimal places kept for the camera position
+};
+
+/**
+ * Writes a view state into URL parameters, leaving out defaults
+ * @param {Object} state - View state from readViewState
+ * @param {URLSearchParams} params - Parameters to update (other keys are kept)
+ * @returns {URLSearchParams} The updated parameters
+ */
+function encodeViewState(state, params) {
+    VIEW_STATE_PARAMS.forEach(key => params.delete(key));
+    const filters = state.filters;
+    
+    if (state.search) params.set('q', state.search);
+    if (state.node) params.set('node', state.node);
+    if (state.camera) {
+        params.set('cam', [state.camera.x, state.camera.y, state.camera.ratio].join(','));
+    }
+    if (filters.plebRankMax !== null) params.set('rank', filters.plebRankMax);
+    if (filters.bridgeFilter !== 'all') params.set('bridges', filters.bridgeFilter);
+    if (filters.channelBridgeFilter !== 'all') params.set('channels', filters.channelBridgeFilter);
+    if (filters.interClusterOnly) params.set('inter', '1');
+    if (filters.multiChannelOnly) params.set('multi', '1');
+    if (filters.channelCapacityMin !== null) params.set('capmin', filters.channelCapacityMin);
+    if (filters.channelCapacityMax !== null) params.set('capmax', filters.channelCapacityMax);
+    if (filters.hideIsolatedNodes) params.set('isolated', '1');
+    if (filters.expression) params.set('expr', filters.expression);
+    return params;
+}
+
+/**
+ * Reads a view state from URL parameters; malformed values fall back to defaults
+ * @param {URLSearchParams} params - Parameters of a deep link
+ * @returns {Object} View state accepted by the view state controller's apply()
+ */
+function decodeViewState(params) {
+    const readNumber = key => {
+        const value = params.has(key) ? Number(params.get(key)) : NaN;
+        return Number.isFinite(value) && value >= 0 ? value : null;
+    };
+    const pick = (key, allowed) => allowed.includes(params.get(key)) ? params.get(key) : 'all';
+    
+    let camera = null;
+    const cameraValues = (params.get('cam') || '').split(',').map(Number);
+    if (cameraValues.length === 3 && cameraValues.every(Number.isFinite) && cameraValues[2] > 0) {
+        camera = { x: cameraValues[0], y: cameraValues[1], ratio: cameraValues[2] };
+    }
+    
+    return {
+        search: params.get('q') || '',
+        node: params.get('node') || null,
+        camera: camera,
+        filters: {
+            plebRankMax: readNumber('rank'),
+            bridgeFilter: pick('bridges', ['important', 'any']),
+            channelBridgeFilter: pick('channels', ['important_only', 'bridge_only']),
+            interClusterOnly: params.get('inter') === '1',
+            multiChannelOnly: params.get('multi') === '1',
+            channelCapacityMin: readNumber('capmin'),
+            channelCapacityMax: readNumber('capmax'),
+            hideIsolatedNodes: params.get('isolated') === '1',
+            expression: params.get('expr') || null
+        }
+    };
+}
+
+/**
+ * Keeps the URL in sync with the view (filters, search, selection, camera) and restores views from it
+ * Discrete changes add a history entry; camera moves only update the current entry
+ * @param {Object} graph - Graphology graph instance
+ * @param {Object} renderer - Sigma.js renderer instance
+ * @param {Object} visibility - Visibility manager (changes trigger a URL update)
+ * @param {Function} selectNode - Selects a node id, or clears the selection with null
+ * @param {Object} listenerOptions - addEventListener options carrying the cleanup signal
+ * @returns {Object} API with read(), apply(state) and record()
+ */
+function createViewState(graph, renderer, visibility, selectNode, listenerOptions) {
+    const camera = renderer.getCamera();
+    let recordTimer = null;
+    // Nothing is recorded until the URL state has been applied once, so it is not overwritten
+    let isTracking = false;
+    
+    const round = value => Number(value.toFixed(VIEW_STATE_CONFIG.CAMERA_DIGITS));
+    
+    function read() {
+        const searchInput = document.getElementById('search-input');
+        const cameraState = camera.getState();
+        const isDefaultCamera = round(cameraState.x) === 0.5 && round(cameraState.y) === 0.5 &&
+            Number(cameraState.ratio.toPrecision(VIEW_STATE_CONFIG.CAMERA_DIGITS)) === 1;
+        
+        return {
+            search: searchInput ? searchInput.value : '',
+            node: selectedNode && graph.hasNode(selectedNode)
+                ? String(graph.getNodeAttributes(selectedNode).attributes.pubKey || selectedNode)
+                : null,
+            camera: isDefaultCamera ? null : {
+                x: round(cameraState.x),
+                y: round(cameraState.y),
+                ratio: Number(cameraState.ratio.toPrecision(VIEW_STATE_CONFIG.CAMERA_DIGITS))
+            },
+            filters: {
+                plebRankMax: filterState.plebRankMax,
+                bridgeFilter: filterState.bridgeFilter,
+                channelBridgeFilter: filterState.channelBridgeFilter,
+                interClusterOnly: filterState.interClusterOnly,
+                multiChannelOnly: filterState.multiChannelOnly,
+                channelCapacityMin: filterState.channelCapacityMin,
+                channelCapacityMax: filterState.channelCapacityMax,
+                hideIsolatedNodes: filterState.hideIsolatedNodes,
+                expression: filterState.expression ? filterState.expression.source : null
+            }
+        };
+    }
+    
+    /**
+     * Sets the filter controls and submits them through the Apply/Clear buttons,
+     * so deep-linked filters go through the same validation as typed ones
+     */
+    function applyFilters(filters) {
+        const byId = id => document.getElementById(id);
+        const isDefault = filters.plebRankMax === null && filters.bridgeFilter === 'all' &&
+            filters.channelBridgeFilter === 'all' && !filters.interClusterOnly &&
+            !filters.multiChannelOnly && filters.channelCapacityMin === null &&
+            filters.channelCapacityMax === null && !filters.hideIsolatedNodes && !filters.expression;
+        
+        if (isDefault) {
+            if (filterState.isActive) byId('clear-filters').click();
+            return;
+        }
+        
+        const slider = byId('pleb-rank-slider');
+        slider.value = filters.plebRankMax === null ? 10000 : filters.plebRankMax;
+        slider.dispatchEvent(new Event('input'));
+        
+        byId('filter-all-nodes').checked = filters.bridgeFilter === 'all';
+        byId('filter-important-bridge').checked = filters.bridgeFilter === 'important';
+        byId('filter-any-bridge').checked = filters.bridgeFilter === 'any';
+        byId('filter-all-channels').checked = filters.channelBridgeFilter === 'all';
+        byId('filter-important-bridge-channels').checked = filters.channelBridgeFilter === 'important_only';
+        byId('filter-bridge-channels').checked = filters.channelBridgeFilter === 'bridge_only';
+        byId('filter-inter-cluster-channels').checked = filters.interClusterOnly;
+        byId('filter-multi-channels').checked = filters.multiChannelOnly;
+        byId('channel-capacity-min').value = filters.channelCapacityMin === null
+            ? '' : filters.channelCapacityMin / CAPACITY_THRESHOLDS.BTC;
+        byId('channel-capacity-max').value = filters.channelCapacityMax === null
+            ? '' : filters.channelCapacityMax / CAPACITY_THRESHOLDS.BTC;
+        byId('filter-hide-isolated').checked = filters.hideIsolatedNodes;
+        byId('filter-expression').value = filters.expression || '';
+        
+        byId('apply-filters').click();
+    }
+    
+    function apply(state) {
+        clearTimeout(recordTimer);
+        
+        const filterParams = filters =>
+            encodeViewState({ search: '', node: null, camera: null, filters }, new URLSearchParams()).toString();
+        if (filterParams(state.filters) !== filterParams(read().filters)) {
+            applyFilters(state.filters);
+        }
+        
+        const searchInput = document.getElementById('search-input');
+        if (searchInput && searchInput.value !== state.search) {
+            searchInput.value = state.search;
+            searchInput.dispatchEvent(new Event('input'));
+        }
+        
+        // Nodes are linked by public key, which stays stable across snapshots
+        let nodeId = null;
+        if (state.node) {
+            nodeId = graph.findNode((id, attributes) =>
+                !attributes.isMeta && String(attributes.attributes.pubKey || id) === state.node) || null;
+        }
+        if (nodeId !== selectedNode) selectNode(nodeId);
+        
+        camera.setState(state.camera || { x: 0.5, y: 0.5, ratio: 1, angle: 0 });
+        
+        // Normalize the current entry (e.g. a linked node missing from this dataset) without adding one
+        isTracking = true;
+        record(true);
+    }
+    
+    /**
+     * Writes the current view into the URL
+     * @param {boolean} replace - Update the current history entry instead of adding one
+     */
+    function record(replace) {
+        clearTimeout(recordTimer);
+        if (!isTracking) return;
+        
+        const url = new URL(window.location);
+        encodeViewState(read(), url.searchParams);
+        if (url.search === window.location.search) return;
+        
+        // Camera-only changes would flood the history, so they replace the current entry
+        const withoutCamera = params => {
+            const copy = new URLSearchParams(params);
+            copy.delete('cam');
+            return copy.toString();
+        };
+        const cameraOnly = withoutCamera(url.searchParams) === withoutCamera(window.location.search);
+        
+        const historyState = { dataset: url.searchParams.get('file') };
+        if (replace || cameraOnly) {
+            window.history.replaceState(historyState, '', url);
+        } else {
+            window.history.pushState(historyState, '', url);
+        }
+    }
+    
+    function scheduleRecord() {
+        if (!isTracking) return;
+        clearTimeout(recordTimer);
+        recordTimer = setTimeout(() => record(false), VIEW_STATE_CONFIG.RECORD_DELAY);
+    }
+    
+    visibility.onChange(scheduleRecord);
+    camera.on('updated', scheduleRecord);
+    listenerOptions.signal.addEventListener('abort', () => {
+        clearTimeout(recordTimer);
+        camera.removeListener('updated', scheduleRecord);
+    });
+    
+    return { read, apply, record };
+}
+
+// =============================================================================
+// KEYBOARD AND SCREEN READER ACCESS
+// =============================================================================
+
+const KEYBOARD_CONFIG = {
+    PAN_STEP: 0.1,          // Share of the visible area moved per arrow key press
+    TABLE_PAGE_SIZE: 200    // Rows added to the table view per "Show more"
+};
+
+/**
+ * Describes a node in one sentence for the screen reader announcements
+ * @param {Object} graph - Graphology graph instance
+ * @param {string} nodeId - Node to describe
+ * @returns {string} Alias, capacity, channels, cluster, rank and bridge role
+ */
+function describeNode(graph, nodeId) {
+    const nodeAttributes = graph.getNodeAttributes(nodeId);
+    const attrs = nodeAttributes.attributes;
+    const parts = [
+        `${attrs.totalCapacity} capacity`,
+        `${attrs.totalChannels} channel${attrs.totalChannels === 1 ? '' : 's'}`
+    ];
+    if (attrs.cluster !== undefined && attrs.cluster !== null) parts.push(`cluster ${attrs.cluster}`);
+    if (attrs.plebRank !== 'N/A') parts.push(`pleb rank ${attrs.plebRank}`);
+    if (attrs.isImportantBridgeNode) {
+        parts.push('important bridge node');
+    } else if (attrs.isBridgeNode) {
+        parts.push('bridge node');
+    }
+    return `${nodeAttributes.label}: ${parts.join(', ')}`;
+}
+
+/**
+ * Lists the visible neighbors of a node, largest shared capacity first
+ * @param {Object} graph - Graphology graph instance
+ * @param {string} nodeId - Node whose neighbors are listed
+ * @returns {Array} [{ nodeId, capacity, channels }] summed over the visible edges to each neighbor
+ */
+function rankNeighborsByCapacity(graph, nodeId) {
+    const neighbors = new Map();
+    graph.forEachEdge(nodeId, (edgeId, edgeAttributes, source, target) => {
+        const neighbor = source === nodeId ? target : source;
+        if (edgeAttributes.hidden || edgeAttributes.isMeta || neighbor === nodeId) return;
+        if (graph.getNodeAttribute(neighbor, 'hidden')) return;
+        if (!neighbors.has(neighbor)) neighbors.set(neighbor, { nodeId: neighbor, capacity: 0, channels: 0 });
+        neighbors.get(neighbor).capacity += edgeAttributes.attributes.capacity || 0;
+        neighbors.get(neighbor).channels += edgeAttributes.attributes.channelCount || 1;
+    });
+    return [...neighbors.values()].sort((a, b) => b.capacity - a.capacity);
+}
+
+/**
+ * Sets up keyboard control of the graph and announces the selection through an ARIA live region
+ * Arrows/WASD pan, +/- zoom, / focuses the search, Tab/Shift-Tab step through the selected
+ * node's neighbors, Enter opens the current neighbor and Escape clears the selection
+ * @param {Object} graph - Graphology graph instance
+ * @param {Object} renderer - Sigma.js renderer instance
+ * @param {Object} visibility - Visibility manager (the neighbor cursor is drawn as an overlay)
+ * @param {Function} selectNode - Selects a node id, or clears the selection with null
+ * @param {Object} listenerOptions - addEventListener options carrying the dataset's abort signal
+ */
+function setupKeyboardNavigation(graph, renderer, visibility, selectNode, listenerOptions) {
+    const container = document.getElementById('graph-container');
+    const announcer = document.getElementById('graph-announcer');
+    const camera = renderer.getCamera();
+    
+    let announcedNode = null;
+    let neighbors = [];
+    let cursor = -1;
+    
+    function announce(message) {
+        if (announcer) announcer.textContent = message;
+    }
+    
+    function setCursor(index) {
+        cursor = index;
+        const neighbor = neighbors[cursor];
+        visibility.setOverlay('keyboard', neighbor ? {
+            node: (nodeId, res) => {
+                if (nodeId !== neighbor.nodeId) return;
+                res.highlighted = true;
+                res.forceLabel = true;
+            }
+        } : null);
+        renderer.refresh();
+        if (!neighbor) return;
+        
+        const position = renderer.getNodeDisplayData(neighbor.nodeId);
+        if (position) camera.animate({ x: position.x, y: position.y }, { duration: TIMING.ZOOM_ANIMATION });
+        announce(`Neighbor ${cursor + 1} of ${neighbors.length}, ${describeNode(graph, neighbor.nodeId)}. ` +
+            `${neighbor.channels} channel${neighbor.channels === 1 ? '' : 's'}, ` +
+            `${formatCapacity(neighbor.capacity)} with the selected node. Press Enter to open.`);
+    }
+    
+    // Announce every selection change, whether made by mouse, keyboard, table view or deep link
+    visibility.onChange(() => {
+        // Filters may have hidden neighbors, so the list is rebuilt on the next Tab
+        if (neighbors.length > 0) {
+            neighbors = [];
+            setCursor(-1);
+        }
+        if (selectedNode === announcedNode) return;
+        announcedNode = selectedNode;
+        if (!selectedNode || !graph.hasNode(selectedNode)) {
+            announce('Selection cleared.');
+            return;
+        }
+        const count = rankNeighborsByCapacity(graph, selectedNode).length;
+        announce(`Selected ${describeNode(graph, selectedNode)}. ` +
+            `${count} visible neighbors; press Tab to move through them.`);
+    });
+    
+    function pan(dx, dy) {
+        const state = camera.getState();
+        camera.animate({
+            x: state.x + dx * KEYBOARD_CONFIG.PAN_STEP * state.ratio,
+            y: state.y + dy * KEYBOARD_CONFIG.PAN_STEP * state.ratio
+        }, { duration: TIMING.ZOOM_ANIMATION });
+    }
+    
+    const panKeys = {
+        ArrowUp: [0, 1], w: [0, 1],
+        ArrowDown: [0, -1], s: [0, -1],
+        ArrowLeft: [-1, 0], a: [-1, 0],
+        ArrowRight: [1, 0], d: [1, 0]
+    };
+    
+    document.addEventListener('keydown', (e) => {
+        if (e.ctrlKey || e.metaKey || e.altKey) return;
+        const target = e.target;
+        if (target.closest && target.closest('input, textarea, select, [contenteditable="true"]')) return;
+        
+        if (e.key === '/') {
+            const searchInput = document.getElementById('search-input');
+            if (searchInput) {
+                e.preventDefault();
+                searchInput.focus();
+            }
+            return;
+        }
+        
+        // The remaining keys act on the graph only while it has the focus
+        if (target !== container) return;
+        
+        const key = e.key.length === 1 ? e.key.toLowerCase() : e.key;
+        if (panKeys[key]) {
+            e.preventDefault();
+            pan(...panKeys[key]);
+        } else if ((key === '+' || key === '=') && controlButtonListeners.zoomIn) {
+            e.preventDefault();
+            controlButtonListeners.zoomIn();
+        } else if ((key === '-' || key === '_') && controlButtonListeners.zoomOut) {
+            e.preventDefault();
+            controlButtonListeners.zoomOut();
+        } else if (key === 'Tab' && selectedNode) {
+            // Without a selection Tab keeps moving the focus out of the graph
+            e.preventDefault();
+            if (neighbors.length === 0) neighbors = rankNeighborsByCapacity(graph, selectedNode);
+            if (neighbors.length === 0) {
+                announce('The selected node has no visible neighbors.');
+                return;
+            }
+            if (cursor === -1) {
+                setCursor(e.shiftKey ? neighbors.length - 1 : 0);
+            } else {
+                setCursor((cursor + (e.shiftKey ? -1 : 1) + neighbors.length) % neighbors.length);
+            }
+        } else if (key === 'Enter' && neighbors[cursor]) {
+            e.preventDefault();
+            selectNode(neighbors[cursor].nodeId);
+        } else if (key === 'Escape' && selectedNode) {
+            e.preventDefault();
+            selectNode(null);
+        }
+    }, listenerOptions);
+}
+
+/**
+ * Sets up the table view: an accessible alternative to the canvas listing the visible
+ * nodes and channels, largest capacity first; node names select the node
+ * @param {Object} graph - Graphology graph instance
+ * @param {Object} visibility - Visibility manager (the open table follows visibility changes)
+ * @param {Function} selectNode - Selects a node id
+ * @param {Object} listenerOptions - addEventListener options carrying the dataset's abort signal
+ */
+function setupTableView(graph, visibility, selectNode, listenerOptions) {
+    const toggle = document.getElementById('table-view-toggle');
+    const view = document.getElementById('table-view');
+    const content = document.getElementById('table-view-content');
+    if (!toggle || !view || !content) return;
+    
+    let limits = { nodes: KEYBOARD_CONFIG.TABLE_PAGE_SIZE, edges: KEYBOARD_CONFIG.TABLE_PAGE_SIZE };
+    const isOpen = () => view.style.display === 'block';
+    
+    function render() {
+        if (!isOpen()) return;
+        const { nodes, edges } = collectVisibleSubgraph(graph, visibility);
+        nodes.sort((a, b) => (b.record.total_capacity || 0) - (a.record.total_capacity || 0));
+        edges.sort((a, b) => (b.record.capacity || 0) - (a.record.capacity || 0));
+        
+        const nodeLink = nodeId => {
+            const label = escapeXml(graph.getNodeAttribute(nodeId, 'label'));
+            const current = nodeId === selectedNode ? ' aria-current="true"' : '';
+            return `<button class="table-node-link" data-node="${escapeXml(nodeId)}"${current}>${label}</button>`;
+        };
+        const showMore = (key, total) => total > limits[key]
+            ? `<button class="control-btn table-view-more" data-more="${key}">Show ${Math.min(KEYBOARD_CONFIG.TABLE_PAGE_SIZE, total - limits[key])} more of ${total.toLocaleString()}</button>`
+            : '';
+        
+        const nodeRows = nodes.slice(0, limits.nodes).map(node => `
+            <tr>
+                <th scope="row">${nodeLink(node.record.id)}</th>
+                <td>${formatCapacity(node.record.total_capacity)}</td>
+                <td>${(node.record.total_channels || 0).toLocaleString()}</td>
+                <td>${node.record.cluster !== undefined && node.record.cluster !== null ? escapeXml(node.record.cluster) : '—'}</td>
+                <td>${escapeXml(node.record.pleb_rank || '—')}</td>
+            </tr>`).join('');
+        const edgeRows = edges.slice(0, limits.edges).map(edge => `
+            <tr>
+                <td>${nodeLink(edge.record.source)}</td>
+                <td>${nodeLink(edge.record.target)}</td>
+                <td>${formatCapacity(edge.record.capacity)}</td>
+                <td>${escapeXml(edge.record.channel_count || 1)}</td>
+            </tr>`).join('');
+        
+        content.innerHTML = `
+            <table class="table-view-table">
+                <caption>Visible nodes (${nodes.length.toLocaleString()}), largest capacity first</caption>
+                <thead><tr><th scope="col">Node</th><th scope="col">Capacity</th><th scope="col">Channels</th><th scope="col">Cluster</th><th scope="col">Pleb rank</th></tr></thead>
+                <tbody>${nodeRows}</tbody>
+            </table>
+            ${showMore('nodes', nodes.length)}
+            <table class="table-view-table">
+                <caption>Visible channels (${edges.length.toLocaleString()}), largest capacity first</caption>
+                <thead><tr><th scope="col">From</th><th scope="col">To</th><th scope="col">Capacity</th><th scope="col">Channels</th></tr></thead>
+                <tbody>${edgeRows}</tbody>
+            </table>
+            ${showMore('edges', edges.length)}
+        `;
+    }
+    
+    function setOpen(open) {
+        view.style.display = open ? 'block' : 'none';
+        toggle.setAttribute('aria-pressed', String(open));
+        if (open) {
+            limits = { nodes: KEYBOARD_CONFIG.TABLE_PAGE_SIZE, edges: KEYBOARD_CONFIG.TABLE_PAGE_SIZE };
+            render();
+            view.focus();
+        }
+    }
+    
+    toggle.addEventListener('click', () => setOpen(!isOpen()), listenerOptions);
+    
+    view.addEventListener('click', (e) => {
+        const link = e.target.closest('.table-node-link');
+        if (link && graph.hasNode(link.dataset.node)) {
+            selectNode(link.dataset.node);
+            return;
+        }
+        const more = e.target.closest('.table-view-more');
+        if (more) {
+            limits[more.dataset.more] += KEYBOARD_CONFIG.TABLE_PAGE_SIZE;
+            render();
+            return;
+        }
+        if (e.target.closest('#table-view-close')) {
+            setOpen(false);
+            toggle.focus();
+        }
+    }, listenerOptions);
+    
+    view.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape') {
+            setOpen(false);
+            toggle.focus();
+        }
+    }, listenerOptions);
+    
+    visibility.onChange(render);
+    setOpen(false);
+}
+
+// =============================================================================
+// DATASET VALIDATION
+// =============================================================================
+
+// Published schema of the node, edge and channel records (row layout, shortened keys)
+const DATASET_SCHEMA_URL = 'data/schema.json';
+
+// Record ids listed per load report issue
+const LOAD_REPORT_EXAMPLES = 5;
+
+// Units of the formatted capacity strings ('21 bitcoin', '46m sats'), in sats
+const FORMATTED_CAPACITY_UNITS = {
+    'bitcoin': CAPACITY_THRESHOLDS.BTC,
+    'btc': CAPACITY_THRESHOLDS.BTC,
+    'm sats': 1000000,
+    'k sats': 1000,
+    'sats': 1
+};
+
+/**
+ * Creates an empty load report
+ * @param {Object} counts - Records read from the file: { nodes, edges, channels }
+ * @returns {Object} Report with grouped errors and warnings and the dropped record counts
+ */
+function createLoadReport(counts) {
+    return {
+        counts: counts,
+        dropped: { nodes: 0, edges: 0 },
+        errors: [],
+        warnings: [],
+        schemaLoaded: true
+    };
+}
+
+/**
+ * Adds an occurrence of an issue to a load report; occurrences with the same code are grouped
+ * @param {Object} report - Load report from createLoadReport
+ * @param {string} severity - 'error' or 'warning'
+ * @param {string} code - Groups occurrences (e.g. 'type:node.tcap')
+ * @param {string} message - Description shown in the report
+ * @param {string} example - Optional id of an affected record
+ */
+function addReportIssue(report, severity, code, message, example) {
+    const list = severity === 'error' ? report.errors : report.warnings;
+    let issue = list.find(item => item.code === code);
+    if (!issue) {
+        issue = { code, message, count: 0, examples: [] };
+        list.push(issue);
+    }
+    issue.count++;
+    if (example !== undefined && issue.examples.length < LOAD_REPORT_EXAMPLES) {
+        issue.examples.push(String(example));
+    }
+}
+
+/**
+ * Tells whether a value has a JSON Schema type
+ * @param {*} value - Value to test
+ * @param {string} type - JSON Schema type name
+ * @returns {boolean} True when the value matches
+ */
+function matchesSchemaType(value, type) {
+    switch (type) {
+        case 'null': return value === null;
+        case 'integer': return Number.isInteger(value);
+        case 'number': return typeof value === 'number' && Number.isFinite(value);
+        case 'array': return Array.isArray(value);
+        case 'object': return value !== null && typeof value === 'object' && !Array.isArray(value);
+        default: return typeof value === type;
+    }
+}
+
+/**
+ * Checks a value against the subset of JSON Schema used by data/schema.json
+ * (type, enum, minimum, required, properties, additionalProperties, items and local $ref)
+ * Keys missing from an object schema's properties are reported as unknown (warnings)
+ * @param {*} value - Value to check
+ * @param {Object} schema - Schema of the value
+ * @param {Object} root - Root schema, for resolving $ref
+ * @param {string} path - Readable location (e.g. 'node.tcap')
+ * @param {Function} onIssue - Called with (severity, code, message)
+ */
+function checkSchemaValue(value, schema, root, path, onIssue) {
+    if (schema.$ref) {
+        schema = schema.$ref.replace(/^#\//, '').split('/').reduce((node, key) => node[key], root);
+    }
+    
+    const types = [].concat(schema.type || []);
+    if (types.length > 0 && !types.some(type => matchesSchemaType(value, type))) {
+        onIssue('error', `type:${path}`, `${path} should be ${types.join(' or ')}`);
+        return;
+    }
+    if (schema.enum && !schema.enum.includes(value)) {
+        onIssue('error', `enum:${path}`, `${path} should be one of ${schema.enum.join(', ')}`);
+    }
+    if (typeof value === 'number' && schema.minimum !== undefined && value < schema.minimum) {
+        onIssue('error', `minimum:${path}`, `${path} should be at least ${schema.minimum}`);
+    }
+    
+    if (Array.isArray(value) && schema.items) {
+        value.forEach(item => checkSchemaValue(item, schema.items, root, `${path}[]`, onIssue));
+    } else if (matchesSchemaType(value, 'object')) {
+        (schema.required || []).forEach(key => {
+            if (value[key] === undefined) onIssue('error', `required:${path}.${key}`, `${path} is missing ${key}`);
+        });
+        Object.entries(value).forEach(([key, item]) => {
+            if (schema.properties && schema.properties[key]) {
+                checkSchemaValue(item, schema.properties[key], root, `${path}.${key}`, onIssue);
+            } else if (schema.additionalProperties && typeof schema.additionalProperties === 'object') {
+                checkSchemaValue(item, schema.additionalProperties, root, `${path}.${key}`, onIssue);
+            } else if (schema.properties) {
+                onIssue('warning', `unknown:${path}.${key}`, `Unknown ${path} key "${key}" (ignored)`);
+            }
+        });
+    }
+}
+
+/**
+ * Parses a formatted capacity string such as '21 bitcoin' or '46m sats'
+ * @param {string} text - Formatted capacity
+ * @returns {Object|null} { sats, unit } (unit in sats, the precision of the text), or null if unrecognized
+ */
+function parseFormattedCapacity(text) {
+    const match = /^\s*([\d.,]+)\s*(bitcoin|btc|[mk] sats|sats)\s*$/i.exec(String(text));
+    if (!match) return null;
+    const unit = FORMATTED_CAPACITY_UNITS[match[2].toLowerCase()];
+    return { sats: parseFloat(match[1].replace(/,/g, '')) * unit, unit: unit };
+}
+
+/**
+ * Validates raw dataset records (shortened keys) against the schema and the graph structure:
+ * duplicate node ids, dangling or missing edge endpoints, repeated connections and formatted
+ * capacities that disagree with tcap. Records that cannot be added to the graph are dropped.
+ * @param {Array} rawNodes - Node records
+ * @param {Array} rawEdges - Edge records
+ * @param {Object|null} schema - Parsed data/schema.json (null when it could not be loaded)
+ * @returns {Object} { report, dropNodes, dropEdges } with the indexes of the dropped records
+ */
+function validateDataset(rawNodes, rawEdges, schema) {
+    const channelCount = rawEdges.reduce((sum, edge) => sum + (Array.isArray(edge && edge.chs) ? edge.chs.length : 0), 0);
+    const report = createLoadReport({ nodes: rawNodes.length, edges: rawEdges.length, channels: channelCount });
+    const dropNodes = new Set();
+    const dropEdges = new Set();
+    
+    if (!schema) {
+        report.schemaLoaded = false;
+        addReportIssue(report, 'warning', 'schema', `${DATASET_SCHEMA_URL} could not be loaded; only structural checks ran`);
+    }
+    
+    const nodeIds = new Set();
+    rawNodes.forEach((node, index) => {
+        const id = node && node.id;
+        if (schema) {
+            checkSchemaValue(node, schema.definitions.node, schema, 'node',
+                (severity, code, message) => addReportIssue(report, severity, code, message, id));
+        }
+        if (id === undefined || id === null || id === '') {
+            addReportIssue(report, 'error', 'node-id', 'Node without an id (dropped)', `#${index}`);
+            dropNodes.add(index);
+            return;
+        }
+        if (nodeIds.has(String(id))) {
+            addReportIssue(report, 'error', 'duplicate-node', 'Duplicate node id, only the first record is kept (dropped)', id);
+            dropNodes.add(index);
+            return;
+        }
+        nodeIds.add(String(id));
+        
+        if (node.fcap !== undefined && node.fcap !== null && Number.isFinite(node.tcap)) {
+            const formatted = parseFormattedCapacity(node.fcap);
+            if (!formatted) {
+                addReportIssue(report, 'warning', 'fcap-format', 'node.fcap is not a recognized capacity (e.g. "21 bitcoin", "46m sats")', id);
+            } else if (Math.abs(formatted.sats - node.tcap) > formatted.unit) {
+                addReportIssue(report, 'warning', 'fcap-mismatch', 'node.fcap disagrees with node.tcap', id);
+            }
+        }
+    });
+    
+    const connections = new Set();
+    rawEdges.forEach((edge, index) => {
+        const id = edge && (edge.id || `${edge.source}-${edge.target}`);
+        if (schema) {
+            checkSchemaValue(edge, schema.definitions.edge, schema, 'edge',
+                (severity, code, message) => addReportIssue(report, severity, code, message, id));
+        }
+        if (!edge || !nodeIds.has(String(edge.source)) || !nodeIds.has(String(edge.target))) {
+            addReportIssue(report, 'error', 'dangling-edge', 'Edge endpoint is not a node of the dataset (dropped)', id);
+            dropEdges.add(index);
+            return;
+        }
+        const connection = `${edge.source}->${edge.target}`;
+        if (connections.has(connection)) {
+            addReportIssue(report, 'error', 'duplicate-edge', 'Repeated connection between the same nodes, only the first is kept (dropped)', id);
+            dropEdges.add(index);
+            return;
+        }
+        connections.add(connection);
+    });
+    
+    report.dropped.nodes = dropNodes.size;
+    report.dropped.edges = dropEdges.size;
+    return { report, dropNodes, dropEdges };
+}
+
+/**
+ * Fills the load report panel and the summary box button that opens it
+ * @param {Object} report - Load report from validateDataset
+ * @param {boolean} strict - Whether strict mode refused the dataset
+ */
+function renderLoadReport(report, strict) {
+    const toggle = document.getElementById('load-report-toggle');
+    const content = document.getElementById('load-report-content');
+    if (!toggle || !content) return;
+    
+    const plural = (count, noun) => `${count.toLocaleString()} ${noun}${count === 1 ? '' : 's'}`;
+    const errorCount = report.errors.reduce((sum, issue) => sum + issue.count, 0);
+    const warningCount = report.warnings.reduce((sum, issue) => sum + issue.count, 0);
+    
+    toggle.style.display = '';
+    toggle.classList.toggle('has-errors', errorCount > 0);
+    toggle.classList.toggle('has-warnings', errorCount === 0 && warningCount > 0);
+    toggle.innerHTML = errorCount + warningCount === 0
+        ? '<i class="fas fa-check-circle"></i> Data valid'
+        : `<i class="fas fa-exclamation-triangle"></i> ${[
+            errorCount > 0 ? plural(errorCount, 'error') : '',
+            warningCount > 0 ? plural(warningCount, 'warning') : ''
+        ].filter(Boolean).join(', ')}`;
+    
+    const renderIssues = (issues, title) => issues.length === 0 ? '' : `
+        <div class="load-report-heading">${title}</div>
+        <ul class="load-report-issues">
+            ${issues.map(issue => `
+                <li>
+                    <span class="load-report-count">${issue.count.toLocaleString()}×</span> ${escapeXml(issue.message)}
+                    ${issue.examples.length > 0 ? `<div class="load-report-examples">e.g. ${issue.examples.map(escapeXml).join(', ')}</div>` : ''}
+                </li>`).join('')}
+        </ul>`;
+    
+    content.innerHTML = `
+        ${strict ? '<div class="load-report-refused">Strict mode: the dataset was not rendered because it has errors.</div>' : ''}
+        <div class="info-content">
+            <div><span class="info-label">Read:</span> ${plural(report.counts.nodes, 'node')}, ${plural(report.counts.edges, 'edge')}, ${plural(report.counts.channels, 'channel')}</div>
+            <div><span class="info-label">Dropped:</span> ${plural(report.dropped.nodes, 'node')}, ${plural(report.dropped.edges, 'edge')}</div>
+            ${report.importedFrom ? `<div><span class="info-label">Imported from:</span> ${report.importedFrom}</div>` : ''}
+            <div><span class="info-label">Schema:</span> ${report.schemaLoaded ? DATASET_SCHEMA_URL : 'not loaded'}</div>
+        </div>
+        ${renderIssues(report.errors, 'Errors')}
+        ${renderIssues(report.warnings, 'Warnings')}
+        ${errorCount + warningCount === 0 ? '<div class="info-content">No problems found.</div>' : ''}
+    `;
+}
+
+// =============================================================================
+// NODE GOSSIP IMPORT - LND describegraph and Core Lightning listnodes/listchannels
+// =============================================================================
+
+/**
+ * Channel tiers by capacity, with the thresholds described by getCategoryDefinition
+ * A channel belongs to the first tier whose threshold its capacity exceeds
+ */
+const CHANNEL_TIER_THRESHOLDS = [
+    { tier: 'Freeway', above: CAPACITY_THRESHOLDS.BTC },   // > 1 BTC
+    { tier: 'Highway', above: 5000000 },                   // > 5M sats
+    { tier: 'My Way', above: -Infinity }                   // other
+];
+
+// Source formats recognized by detectGossipFormat, as shown in the load report
+const GOSSIP_FORMAT_NAMES = {
+    lnd: 'LND describegraph',
+    cln: 'Core Lightning listnodes/listchannels'
+};
+
+/**
+ * Returns the tier of a channel
+ * @param {number} capacity - Channel capacity in sats
+ * @returns {string} 'Freeway', 'Highway' or 'My Way'
+ */
+function getChannelTier(capacity) {
+    return CHANNEL_TIER_THRESHOLDS.find(threshold => capacity > threshold.above).tier;
+}
+
+/**
+ * Formats a node capacity like the formatted_total_capacity of the published datasets
+ * ('1.7 bitcoin', '21 bitcoin', '46m sats')
+ * @param {number} sats - Capacity in sats
+ * @returns {string} Formatted capacity
+ */
+function formatTotalCapacity(sats) {
+    if (sats >= CAPACITY_THRESHOLDS.BTC) {
+        const btc = sats / CAPACITY_THRESHOLDS.BTC;
+        return `${btc < 5 ? btc.toFixed(1) : Math.round(btc)} bitcoin`;
+    }
+    if (sats >= 1000000) return `${Math.round(sats / 1000000)}m sats`;
+    if (sats >= 1000) return `${Math.round(sats / 1000)}k sats`;
+    return `${sats} sats`;
+}
+
+/**
+ * Converts an LND channel id (uint64 as a decimal string) to the short channel id notation
+ * @param {string} channelId - LND channel_id
+ * @returns {string} 'block x transaction x output', or the input when it is not a number
+ */
+function formatShortChannelId(channelId) {
+    try {
+        const id = BigInt(channelId);
+        return `${id >> 40n}x${(id >> 16n) & 0xffffffn}x${id & 0xffffn}`;
+    } catch (error) {
+        return String(channelId);
+    }
+}
+
+/**
+ * Orders short channel ids by block, transaction and output (oldest first)
+ * @param {string} a - Short channel id
+ * @param {string} b - Short channel id
+ * @returns {number} Negative when a is older
+ */
+function compareShortChannelIds(a, b) {
+    const partsA = String(a).split('x').map(Number);
+    const partsB = String(b).split('x').map(Number);
+    for (let i = 0; i < 3; i++) {
+        if (partsA[i] !== partsB[i]) return (partsA[i] || 0) - (partsB[i] || 0);
+    }
+    return 0;
+}
+
+/**
+ * Recognizes node gossip dumps
+ * @param {Object} data - Parsed dataset
+ * @returns {string|null} 'lnd' for `lncli describegraph`, 'cln' for Core Lightning `listchannels`
+ *                        and/or `listnodes`, null for the viewer's own formats
+ */
+function detectGossipFormat(data) {
+    const firstEdge = Array.isArray(data.edges) ? data.edges[0] : undefined;
+    if (firstEdge && firstEdge.node1_pub !== undefined) return 'lnd';
+    if (!firstEdge && Array.isArray(data.nodes) && data.nodes[0] && data.nodes[0].pub_key !== undefined) return 'lnd';
+    if (Array.isArray(data.channels)) return 'cln';
+    if (Array.isArray(data.nodes) && data.nodes[0] && data.nodes[0].nodeid !== undefined) return 'cln';
+    return null;
+}
+
+/**
+ * Builds viewer node and edge records from announced nodes and channels
+ * Parallel channels between two nodes are merged into one edge; node totals, tier
+ * counts and the oldest channel (birth_tx) are derived from the channels
+ * @param {Array} announcedNodes - { pubKey, alias } from the node announcements
+ * @param {Array} channels - { source, target, capacity, scid }, one entry per channel
+ * @returns {Object} { nodes, edges } with original attribute names (like mapNodeAttributes/mapEdgeAttributes)
+ */
+function buildGossipGraph(announcedNodes, channels) {
+    const nodes = new Map();
+    const addNode = (pubKey, alias) => {
+        if (!nodes.has(pubKey)) {
+            nodes.set(pubKey, {
+                id: pubKey,
+                pub_key: pubKey,
+                total_channels: 0,
+                total_capacity: 0,
+                category_counts: Object.fromEntries(CHANNEL_TIER_THRESHOLDS.map(threshold => [threshold.tier, 0]))
+            });
+        }
+        if (alias) nodes.get(pubKey).alias = alias;
+        return nodes.get(pubKey);
+    };
+    announcedNodes.forEach(node => addNode(node.pubKey, node.alias));
+    
+    const edges = new Map();
+    channels.forEach(channel => {
+        if (!channel.source || !channel.target || channel.source === channel.target) return;
+        const tier = getChannelTier(channel.capacity);
+        
+        [channel.source, channel.target].forEach(pubKey => {
+            const node = addNode(pubKey);
+            node.total_channels++;
+            node.total_capacity += channel.capacity;
+            node.category_counts[tier]++;
+            if (channel.scid && (!node.birth_tx || compareShortChannelIds(channel.scid, node.birth_tx) < 0)) {
+                node.birth_tx = channel.scid;
+            }
+        });
+        
+        // Both directions share one edge
+        const [source, target] = [channel.source, channel.target].sort();
+        const id = `${source}-${target}`;
+        if (!edges.has(id)) {
+            edges.set(id, { id: id, source: source, target: target, channels: [] });
+        }
+        edges.get(id).channels.push({ tier: tier, capacity: channel.capacity, birth_tx: channel.scid });
+    });
+    
+    nodes.forEach(node => {
+        node.formatted_total_capacity = formatTotalCapacity(node.total_capacity);
+    });
+    edges.forEach(edge => {
+        edge.channels.sort((a, b) => b.capacity - a.capacity);
+        edge.channel_count = edge.channels.length;
+        edge.total_capacity = edge.channels.reduce((sum, channel) => sum + channel.capacity, 0);
+        edge.capacity = edge.total_capacity;
+    });
+    
+    return { nodes: [...nodes.values()], edges: [...edges.values()] };
+}
+
+/**
+ * Converts `lncli describegraph` output
+ * @param {Object} data - { nodes: [{ pub_key, alias }], edges: [{ channel_id, node1_pub, node2_pub, capacity }] }
+ * @returns {Object} { nodes, edges } from buildGossipGraph
+ */
+function importLndGraph(data) {
+    const announcedNodes = (data.nodes || []).map(node => ({ pubKey: node.pub_key, alias: node.alias }));
+    const channels = (data.edges || []).map(edge => ({
+        source: edge.node1_pub,
+        target: edge.node2_pub,
+        capacity: Number(edge.capacity) || 0,
+        scid: edge.channel_id !== undefined ? formatShortChannelId(edge.channel_id) : undefined
+    }));
+    return buildGossipGraph(announcedNodes, channels);
+}
+
+/**
+ * Converts Core Lightning `listnodes` and `listchannels` output (merged into one object)
+ * listchannels lists every channel once per direction; the halves are joined by short_channel_id
+ * @param {Object} data - { nodes: [{ nodeid, alias }], channels: [{ short_channel_id, source,
+ *                        destination, amount_msat (or satoshis on older versions) }] }
+ * @returns {Object} { nodes, edges } from buildGossipGraph
+ */
+function importClnGraph(data) {
+    const announcedNodes = (data.nodes || []).map(node => ({ pubKey: node.nodeid, alias: node.alias }));
+    const channels = new Map();
+    (data.channels || []).forEach((channel, index) => {
+        const scid = channel.short_channel_id;
+        if (scid !== undefined && channels.has(scid)) return;
+        // amount_msat is a number, or a string such as '5000000000msat' before v23
+        const capacity = channel.amount_msat !== undefined
+            ? Math.floor(parseInt(String(channel.amount_msat), 10) / 1000)
+            : Number(channel.satoshis);
+        channels.set(scid !== undefined ? scid : `#${index}`, {
+            source: channel.source,
+            target: channel.destination,
+            capacity: capacity || 0,
+            scid: scid
+        });
+    });
+    return buildGossipGraph(announcedNodes, [...channels.values()]);
+}
+
+/**
+ * Converts a node gossip dump to viewer node and edge records
+ * @param {Object} data - Parsed dump
+ * @param {string} format - Format from detectGossipFormat
+ * @returns {Object} { nodes, edges } with original attribute names
+ */
+function importGossipGraph(data, format) {
+    return format === 'lnd' ? importLndGraph(data) : importClnGraph(data);
+}
+
+// =============================================================================
+// DATASET LOADING
+// =============================================================================
+
+// Worker script that downloads and prepares datasets off the main thread
+const DATASET_WORKER_URL = 'dataset-worker.js';
+
+// Published datasets with their metadata, used to build the dataset switcher
+const DATASET_MANIFEST_URL = 'data/manifest.json';
+
+/**
+ * Loads the dataset manifest and checks which of the listed files are present
+ * @returns {Promise<Object>} { default, datasets } where each dataset has file, label, description,
+ *                            snapshot (YYYY-MM-DD), nodes, edges, channels, size (bytes) and available
+ */
+async function loadDatasetManifest() {
+    const response = await fetch(DATASET_MANIFEST_URL);
+    if (!response.ok) {
+        throw new Error(`Failed to load ${DATASET_MANIFEST_URL}: ${response.status} ${response.statusText}`);
+    }
+    const manifest = await response.json();
+    
+    // Listed files may be missing from a deployment (e.g. too large for the repository)
+    const datasets = await Promise.all((manifest.datasets || []).map(async dataset => {
+        let available = false;
+        try {
+            available = (await fetch(dataset.file, { method: 'HEAD' })).ok;
+        } catch (error) {
+            console.warn(`⚠️ Dataset ${dataset.file} unavailable:`, error.message);
+        }
+        return { ...dataset, available };
+    }));
+    
+    const firstAvailable = datasets.find(dataset => dataset.available);
+    const defaultDataset = datasets.find(dataset => dataset.file === manifest.default && dataset.available);
+    return {
+        default: (defaultDataset || firstAvailable || {}).file || null,
+        datasets: datasets
+    };
+}
+
+/**
+ * Reads a response body, reporting the bytes received so far
+ * @param {Response} response - Fetch response
+ * @param {Function} onChunk - Called with the number of bytes received after each chunk
+ * @returns {Promise<Uint8Array>} Response body
+ */
+async function readResponseBytes(response, onChunk) {
+    if (!response.body || !response.body.getReader) {
+        const bytes = new Uint8Array(await response.arrayBuffer());
+        onChunk(bytes.length);
+        return bytes;
+    }
+    
+    const reader = response.body.getReader();
+    const chunks = [];
+    let loaded = 0;
+    
+    while (true) {
+        const { done, value } = await reader.read();
+        if (done) break;
+        loaded += value.length;
+        chunks.push(value);
+        onChunk(loaded);
+    }
+    
+    const bytes = new Uint8Array(loaded);
+    let offset = 0;
+    chunks.forEach(chunk => {
+        bytes.set(chunk, offset);
+        offset += chunk.length;
+    });
+    return bytes;
+}
+
+/**
+ * Detects a compressed dataset from its first bytes or its file extension
+ * gzip is recognized by its magic number; brotli has none and relies on the .br extension.
+ * Files the server already decoded (Content-Encoding) start with JSON and are not decompressed again;
+ * the first two significant characters are checked since a brotli stream may start with '[' as well.
+ * @param {Uint8Array} bytes - Downloaded file
+ * @param {string} url - Dataset URL
+ * @returns {string|null} DecompressionStream format ('gzip' or 'brotli'), or null for plain JSON
+ */
+function detectCompression(bytes, url) {
+    if (bytes[0] === 0x1f && bytes[1] === 0x8b) return 'gzip';
+    
+    const [firstChar = '', secondChar = ''] = Array.from(bytes.subarray(0, 64))
+        .filter(byte => byte > 0x20)
+        .slice(0, 2)
+        .map(byte => String.fromCharCode(byte));
+    if ((firstChar === '{' || firstChar === '[') && /["{}[\]\d\-tfn]/.test(secondChar)) return null;
+    
+    const path = url.split(/[?#]/)[0].toLowerCase();
+    if (path.endsWith('.br')) return 'brotli';
+    if (path.endsWith('.gz')) return 'gzip';
+    return null;
+}
+
+/**
+ * Decodes a downloaded dataset to JSON text, decompressing it in the browser when needed
+ * @param {Uint8Array} bytes - Downloaded file
+ * @param {string} url - Dataset URL (its extension hints at the compression)
+ * @param {Function} onProgress - Receives { stage: 'decompress' } for compressed files
+ * @returns {Promise<string>} JSON text
+ */
+async function decodeDatasetText(bytes, url, onProgress) {
+    const compression = detectCompression(bytes, url);
+    if (!compression) return new TextDecoder().decode(bytes);
+    
+    onProgress({ stage: 'decompress' });
+    let decompressor;
+    try {
+        decompressor = new DecompressionStream(compression);
+    } catch (error) {
+        // DecompressionStream is missing, or does not know brotli in this browser
+        throw new Error(`This browser cannot decompress ${compression} datasets; load the uncompressed .json file instead`);
+    }
+    return new Response(new Blob([bytes]).stream().pipeThrough(decompressor)).text();
+}
+
+/**
+ * Reports columnar dataset columns that are not part of the layout
+ * @param {Object} data - Parsed columnar dataset
+ * @param {Object} report - Load report receiving the warnings
+ */
+function reportUnknownColumns(data, report) {
+    const known = {
+        nodes: ['id', 'x', 'y', ...Object.keys(ATTRIBUTE_MAPPING.node)],
+        edges: ['id', 'source', 'target', 'type', ...Object.keys(ATTRIBUTE_MAPPING.edge).filter(key => key !== 'chs')],
+        channels: ['edge', ...Object.keys(ATTRIBUTE_MAPPING.channel)]
+    };
+    Object.entries(known).forEach(([group, columns]) => {
+        Object.keys(data[group] || {}).forEach(column => {
+            if (!columns.includes(column)) {
+                addReportIssue(report, 'warning', `unknown:${group}.${column}`, `Unknown ${group} column "${column}" (ignored)`);
+            }
+        });
+    });
+}
+
+/**
+ * Validates raw dataset records, maps them to long attribute names and calculates
+ * the statistics used for node and edge sizing
+ * @param {Object} data - Parsed dataset: { nodes, edges } in the shortened-key row format,
+ *                        the columnar layout (format: 'columnar', see decodeColumnarDataset),
+ *                        a node gossip dump (see detectGossipFormat) or a bundle of several files
+ * @param {Function} onProgress - Receives { stage } as each step starts
+ * @param {Object|null} schema - Parsed data/schema.json, or null to run only the structural checks
+ * @returns {Object} { nodes, edges, dataStats, report } accepted by createVisualization
+ */
+function prepareDataset(data, onProgress, schema) {
+    let nodes;
+    let edges;
+    let validation;
+    
+    // Files opened together (e.g. listnodes and listchannels) are merged into one object
+    if (data.format === BUNDLE_FORMAT) {
+        data = Object.assign({}, ...data.files);
+    }
+    const gossipFormat = detectGossipFormat(data);
+    
+    if (data.format === COLUMNAR_FORMAT || gossipFormat) {
+        // Columns and gossip dumps are converted first; the schema describes records, so they are checked in the row layout
+        onProgress({ stage: gossipFormat ? 'import' : 'map' });
+        ({ nodes, edges } = gossipFormat ? importGossipGraph(data, gossipFormat) : decodeColumnarDataset(data));
+        onProgress({ stage: 'validate' });
+        validation = validateDataset(nodes.map(unmapNodeAttributes), edges.map(unmapEdgeAttributes), schema);
+        if (gossipFormat) {
+            validation.report.importedFrom = GOSSIP_FORMAT_NAMES[gossipFormat];
+        } else {
+            reportUnknownColumns(data, validation.report);
+        }
+        nodes = nodes.filter((node, index) => !validation.dropNodes.has(index));
+        edges = edges.filter((edge, index) => !validation.dropEdges.has(index));
+    } else {
+        onProgress({ stage: 'validate' });
+        const rawNodes = Array.isArray(data.nodes) ? data.nodes : [];
+        const rawEdges = Array.isArray(data.edges) ? data.edges : [];
+        validation = validateDataset(rawNodes, rawEdges, schema);
+        ['nodes', 'edges'].forEach(key => {
+            if (!Array.isArray(data[key])) {
+                addReportIssue(validation.report, 'error', `missing:${key}`, `The dataset has no ${key} array`);
+            }
+        });
+        
+        onProgress({ stage: 'map' });
+        nodes = rawNodes.filter((node, index) => !validation.dropNodes.has(index)).map(mapNodeAttributes);
+        edges = rawEdges.filter((edge, index) => !validation.dropEdges.has(index)).map(mapEdgeAttributes);
+    }
+    
+    onProgress({ stage: 'stats' });
+    const dataStats = calculateDataStats(nodes, edges);
+    
+    return { nodes, edges, dataStats, report: validation.report };
+}
+
+/**
+ * Loads the published dataset schema
+ * @param {AbortSignal} signal - Optional signal cancelling the request
+ * @returns {Promise<Object|null>} Parsed schema, or null when it cannot be loaded (or the load was cancelled)
+ */
+async function loadDatasetSchema(signal) {
+    try {
+        const response = await fetch(DATASET_SCHEMA_URL, { signal });
+        if (!response.ok) throw new Error(`${response.status} ${response.statusText}`);
+        return await response.json();
+    } catch (error) {
+        if (error.name === 'AbortError') return null;
+        console.warn(`⚠️ Dataset schema unavailable (${DATASET_SCHEMA_URL}):`, error.message);
+        return null;
     }
 }
 
-// =============================================================================
-// EDGE COLORING SYSTEM
-// =============================================================================
+// Wrapper written by bundleLocalFiles around several files opened together
+const BUNDLE_FORMAT = 'bundle';
 
 /**
- * Gets edge color based on enhanced data attributes
- * Uses pre-calculated colors from data when available
- * @param {Object} edge - Edge data object
- * @returns {string} Color hex code
+ * Tells whether a dataset source is a local file rather than a URL
+ * @param {string|File} source - Dataset URL or a file chosen by the user
+ * @returns {boolean} True for File/Blob sources
  */
-function getEdgeColor(edge) {
-    // Highlight important bridge channels
-    if (edge.is_important_bridge_channel) {
-        return EDGE_HIGHLIGHT.IMPORTANT_BRIDGE;
+function isLocalDatasetSource(source) {
+    return typeof Blob !== 'undefined' && source instanceof Blob;
+}
+
+/**
+ * Joins local files opened together into one dataset file, { format: 'bundle', files: [...] },
+ * without reading them (for gossip dumps split over several commands, e.g. listnodes and listchannels)
+ * Only uncompressed JSON files can be bundled
+ * @param {Array<File>} files - Files chosen or dropped together
+ * @returns {File} The only file, or the bundle named after all files
+ */
+function bundleLocalFiles(files) {
+    if (files.length === 1) return files[0];
+    const parts = [`{"format":"${BUNDLE_FORMAT}","files":[`];
+    files.forEach((file, index) => parts.push(index > 0 ? ',' : '', file));
+    parts.push(']}');
+    return new File(parts, files.map(file => file.name).join(' + '), { type: 'application/json' });
+}
+
+/**
+ * Reads the bytes of a dataset: downloads a URL, or reads a local file in the browser
+ * (local files are never uploaded)
+ * @param {string|File} source - Dataset URL or local file
+ * @param {Function} onProgress - Receives { stage: 'download' | 'read', loaded, total } updates
+ * @param {AbortSignal} signal - Optional signal cancelling the download
+ * @returns {Promise<Uint8Array>} File contents
+ */
+async function readDatasetBytes(source, onProgress, signal) {
+    if (isLocalDatasetSource(source)) {
+        onProgress({ stage: 'read', loaded: 0, total: source.size });
+        return readResponseBytes(new Response(source), loaded => onProgress({ stage: 'read', loaded, total: source.size }));
     }
     
-    // Highlight regular bridge channels
-    if (edge.is_bridge_channel) {
-        return EDGE_HIGHLIGHT.REGULAR_BRIDGE;
+    onProgress({ stage: 'download', loaded: 0, total: 0 });
+    const response = await fetch(source, { signal });
+    if (!response.ok) {
+        throw new Error(`Failed to load ${source}: ${response.status} ${response.statusText}`);
     }
     
-    // Default color
-    return EDGE_HIGHLIGHT.DEFAULT;
+    // Content-Length is missing for chunked responses; progress then shows bytes only
+    const total = Number(response.headers.get('Content-Length')) || 0;
+    return readResponseBytes(response, loaded => onProgress({ stage: 'download', loaded, total }));
 }
 
 /**
- * Gets node color based on cluster or pre-calculated color
- * @param {Object} node - Node data object
- * @returns {string} Color hex code
+ * Downloads (or reads), parses and prepares a dataset in the current thread
+ * (runs inside the dataset worker, or on the main thread when workers are unavailable)
+ * @param {string|File} source - Dataset URL or local file
+ * @param {Function} onProgress - Receives { stage, loaded, total } updates
+ * @param {AbortSignal} signal - Optional signal cancelling the download
+ * @returns {Promise<Object>} Prepared dataset from prepareDataset
  */
-function getNodeColor(node) {
-    // Use cluster-based coloring
-    if (node.cluster !== undefined && node.cluster !== null) {
-        return CLUSTER_COLORS[node.cluster] || CLUSTER_COLORS.DEFAULT;
-    }
+async function fetchDataset(source, onProgress, signal) {
+    const schemaRequest = loadDatasetSchema(signal);
+    const bytes = await readDatasetBytes(source, onProgress, signal);
+    const name = isLocalDatasetSource(source) ? source.name || '' : source;
+    const text = await decodeDatasetText(bytes, name, onProgress);
     
-    // Default color
-    return CLUSTER_COLORS.DEFAULT;
+    onProgress({ stage: 'parse' });
+    const data = JSON.parse(text);
+    return prepareDataset(data, onProgress, await schemaRequest);
+}
+
+/**
+ * Loads a dataset in a Web Worker so the page stays responsive; falls back to the
+ * main thread when the worker cannot be started (e.g. pages opened from file://)
+ * @param {string|File} source - Dataset URL or local file (files are passed to the worker as is)
+ * @param {Function} onProgress - Receives { stage, loaded, total } updates
+ * @param {AbortSignal} signal - Optional signal; aborting terminates the worker
+ * @returns {Promise<Object>} Prepared dataset from prepareDataset
+ */
+function loadDatasetInWorker(source, onProgress, signal) {
+    if (typeof Worker === 'undefined') return fetchDataset(source, onProgress, signal);
+    
+    return new Promise((resolve, reject) => {
+        let worker;
+        try {
+            worker = new Worker(DATASET_WORKER_URL);
+        } catch (error) {
+            console.warn('⚠️ Dataset worker unavailable, loading on the main thread:', error);
+            resolve(fetchDataset(source, onProgress, signal));
+            return;
+        }
+        
+        const finish = () => {
+            worker.terminate();
+            if (signal) signal.removeEventListener('abort', cancel);
+        };
+        const cancel = () => {
+            finish();
+            reject(new DOMException('Dataset loading cancelled', 'AbortError'));
+        };
+        if (signal) {
+            if (signal.aborted) {
+                cancel();
+                return;
+            }
+            signal.addEventListener('abort', cancel);
+        }
+        
+        worker.onmessage = (event) => {
+            const message = event.data;
+            if (message.type === 'progress') {
+                onProgress(message.progress);
+            } else if (message.type === 'done') {
+                finish();
+                resolve(message.dataset);
+            } else if (message.type === 'error') {
+                finish();
+                reject(new Error(message.message));
+            }
+        };
+        
+        // The worker script itself failed (missing file, blocked by the browser)
+        worker.onerror = (event) => {
+            event.preventDefault();
+            finish();
+            console.warn('⚠️ Dataset worker failed, loading on the main thread:', event.message);
+            resolve(fetchDataset(source, onProgress, signal));
+        };
+        
+        worker.postMessage({
+            source: isLocalDatasetSource(source) ? source : new URL(source, window.location.href).href
+        });
+    });
 }
 
 // =============================================================================
@@ -590,35 +6893,65 @@ function getNodeColor(node) {
 // =============================================================================
 
 /**
- * Entry point: Loads JSON data from server and initializes the visualization
- * Handles network errors and displays error messages to user
- * @param {string} jsonFile - Path to JSON file containing graph data
- * @returns {Promise} Resolves when visualization is complete
+ * Shows a dataset loading error over the graph, leaving the graph container's other children in place
+ * @param {string|null} message - Error text, or null to hide the error
  */
-async function initVisualization(jsonFile) {
-    // Destroy any existing visualization before creating a new one
-    await destroyVisualization();
+function showLoadError(message) {
+    const errorElement = document.getElementById('load-error');
+    const messageElement = document.getElementById('load-error-message');
+    if (!errorElement || !messageElement) return;
+    messageElement.textContent = message || '';
+    errorElement.style.display = message ? 'flex' : 'none';
+}
 
-    // Load the JSON data
-    return fetch(jsonFile)
-        .then(response => {
-            if (!response.ok) {
-                throw new Error(`Failed to load ${jsonFile}: ${response.status} ${response.statusText}`);
+/**
+ * Entry point: Loads JSON data from server (or a local file) and initializes the visualization
+ * Downloading, parsing and attribute mapping run in the dataset worker; only the graph
+ * and renderer are built on the main thread
+ * Handles network errors and displays error messages to user
+ * @param {string|File} jsonFile - Path to JSON file containing graph data, or a local file
+ *                                 chosen by the user (read in the browser, never uploaded)
+ * @param {Object} options - Optional { onProgress, signal, strict }: progress updates
+ *                           ({ stage, loaded, total }), a signal cancelling the load, and strict
+ *                           mode refusing datasets with validation errors
+ * @returns {Promise} Resolves when visualization is complete; rejects with an AbortError when
+ *                    cancelled and a DatasetValidationError when strict mode refuses the data
+ */
+async function initVisualization(jsonFile, options = {}) {
+    const onProgress = options.onProgress || (() => {});
+    showLoadError(null);
+    
+    // Load the JSON data; the current visualization stays until the new one is ready,
+    // so a cancelled, failed or refused load keeps it
+    return loadDatasetInWorker(jsonFile, onProgress, options.signal)
+        .then(async dataset => {
+            if (options.signal && options.signal.aborted) {
+                throw new DOMException('Dataset loading cancelled', 'AbortError');
             }
-            return response.json();
-        })
-        .then(data => {
-            // Initialize the visualization with the loaded data
-            createVisualization(data, jsonFile);
+            
+            // Strict mode refuses data with errors; the load report explains why
+            if (options.strict && dataset.report.errors.length > 0) {
+                renderLoadReport(dataset.report, true);
+                const errorCount = dataset.report.errors.reduce((sum, issue) => sum + issue.count, 0);
+                const error = new Error(`Strict mode: the dataset has ${errorCount} validation errors, see the load report`);
+                error.name = 'DatasetValidationError';
+                throw error;
+            }
+            
+            // Let the indicator show the last stage before the main thread is busy
+            onProgress({ stage: 'build' });
+            await new Promise(resolve => requestAnimationFrame(() => setTimeout(resolve, 0)));
+            
+            // Replace the current visualization with the loaded data
+            await destroyVisualization();
+            createVisualization(dataset, isLocalDatasetSource(jsonFile) ? jsonFile.name : jsonFile);
             console.log('📈 Visualization created');
         })
         .catch(error => {
+            // The graph area is kept so the summary box can still open the load report
+            if (error.name === 'AbortError' || error.name === 'DatasetValidationError') throw error;
             console.error('Error loading JSON data:', error);
-            const graphContainer = document.getElementById('graph-container');
-            if (graphContainer) {
-                graphContainer.innerHTML = 
-                    `<div style="padding: 20px; color: red;">Error loading data: ${error.message}</div>`;
-            }
+            showLoadError(`Error loading data: ${error.message}`);
             throw error;
         });
 }
@@ -666,13 +6999,13 @@ function createTooltipManager(tooltipElement) {
         }
                 
         return `
-            <div><strong>${nodeAttributes.label}</strong></div>
+            <div><strong>${escapeXml(nodeAttributes.label)}</strong></div>
             ${bridgeInfo}
 
-            <div>Capacity: ${attrs.totalCapacity}</div>
-            <div>Channels: ${attrs.totalChannels}</div>
-            <div>Pleb Rank: ${attrs.plebRank}</div>
-            <div>Type: ${attrs.nodeType || 'Unknown'}</div>
+            <div>Capacity: ${escapeXml(attrs.totalCapacity)}</div>
+            <div>Channels: ${escapeXml(attrs.totalChannels)}</div>
+            <div>Pleb Rank: ${escapeXml(attrs.plebRank)}</div>
+            <div>Type: ${escapeXml(attrs.nodeType || 'Unknown')}</div>
 
         `;
     }
@@ -703,7 +7036,7 @@ function createTooltipManager(tooltipElement) {
                     <div style="margin-bottom: 4px;">
                         <div><strong>Channel ${index + 1}</strong></div>
                         <div style="margin-left: 8px;">Capacity: ${formatCapacity(channel.capacity)}</div>
-                        <div style="margin-left: 8px;">Birth Tx: ${birthTx}</div>
+                        <div style="margin-left: 8px;">Birth Tx: ${escapeXml(birthTx)}</div>
                     </div>
                 `;
             });
@@ -720,20 +7053,43 @@ function createTooltipManager(tooltipElement) {
             if (channels && Array.isArray(channels) && channels.length > 0) {
                 birthTx = channels[0].birth_tx || 'N/A';
             }
-            channelInfo = `<div>Birth Tx: ${birthTx}</div>`;
+            channelInfo = `<div>Birth Tx: ${escapeXml(birthTx)}</div>`;
         }
         
         return `
             <div><strong>Channel</strong></div>
             ${bridgeInfo}
-            <div>From: ${sourceNode.label}</div>
-            <div>To: ${targetNode.label}</div>
+            <div>From: ${escapeXml(sourceNode.label)}</div>
+            <div>To: ${escapeXml(targetNode.label)}</div>
             <div>Capacity: ${formatCapacity(attrs.capacity)}</div>
             ${channelInfo}
         `;
     }
     
-    return { show, hide, position, createNodeTooltip, createEdgeTooltip, get currentHover() { return currentHover; } };
+    function createMetaNodeTooltip(nodeAttributes) {
+        return `
+            <div><strong>${escapeXml(nodeAttributes.label)}</strong> (collapsed)</div>
+            <div>Nodes: ${nodeAttributes.members.toLocaleString()}</div>
+            <div>Capacity: ${formatCapacity(nodeAttributes.capacity)}</div>
+            <div>Channels inside: ${nodeAttributes.internalChannels.toLocaleString()}</div>
+            <div style="color: #6B7280;">Double-click to expand</div>
+        `;
+    }
+    
+    function createMetaEdgeTooltip(edgeAttributes, graph, edgeId) {
+        return `
+            <div><strong>Channels Between</strong></div>
+            <div>${escapeXml(graph.getNodeAttribute(graph.source(edgeId), 'label'))} ↔ ${escapeXml(graph.getNodeAttribute(graph.target(edgeId), 'label'))}</div>
+            <div>Capacity: ${formatCapacity(edgeAttributes.capacity)}</div>
+            <div>Channels: ${edgeAttributes.channels.toLocaleString()} (${edgeAttributes.peerPairs.toLocaleString()} peer pairs)</div>
+        `;
+    }
+    
+    return {
+        show, hide, position,
+        createNodeTooltip, createEdgeTooltip, createMetaNodeTooltip, createMetaEdgeTooltip,
+        get currentHover() { return currentHover; }
+    };
 }
 
 /**
@@ -763,13 +7119,13 @@ function createSidebarManager() {
             if (categoryCountsObj && typeof categoryCountsObj === 'object') {
                 for (const [category, count] of Object.entries(categoryCountsObj)) {
                     const definition = getCategoryDefinition(category);
-                    categoryCountsHtml += `<div><span class="info-label">${category}${definition}:</span> ${count}</div>`;
+                    categoryCountsHtml += `<div><span class="info-label">${escapeXml(category)}${definition}:</span> ${escapeXml(count)}</div>`;
                 }
             } else {
-                categoryCountsHtml = `<div>${attrs.categoryCount || 'N/A'}</div>`;
+                categoryCountsHtml = `<div>${escapeXml(attrs.categoryCount || 'N/A')}</div>`;
             }
         } catch (e) {
-            categoryCountsHtml = `<div>${attrs.categoryCount || 'N/A'}</div>`;
+            categoryCountsHtml = `<div>${escapeXml(attrs.categoryCount || 'N/A')}</div>`;
         }
         
         // Bridge node information
@@ -778,16 +7134,16 @@ function createSidebarManager() {
             bridgeInfo = `
                 <div style="margin-top: 10px; padding: 10px; background: rgba(239, 68, 68, 0.1); border-left: 3px solid #EF4444;">
                     <div style="font-weight: bold; color: #EF4444;">🌉 Critical Bridge Node</div>
-                    <div><span class="info-label">Bridges Clusters:</span> ${attrs.bridgesClusters || 'N/A'}</div>
-                    <div><span class="info-label">Cluster Connections:</span> ${attrs.clusterConnections || 'N/A'}</div>
+                    <div><span class="info-label">Bridges Clusters:</span> ${escapeXml(attrs.bridgesClusters || 'N/A')}</div>
+                    <div><span class="info-label">Cluster Connections:</span> ${escapeXml(attrs.clusterConnections || 'N/A')}</div>
                 </div>
             `;
         } else if (attrs.isBridgeNode) {
             bridgeInfo = `
                 <div style="margin-top: 10px; padding: 10px; background: rgba(251, 146, 60, 0.1); border-left: 3px solid #FB923C;">
                     <div style="font-weight: bold; color: #FB923C;">🌉 Bridge Node</div>
-                    <div><span class="info-label">Bridges Clusters:</span> ${attrs.bridgesClusters || 'N/A'}</div>
-                    <div><span class="info-label">Cluster Connections:</span> ${attrs.clusterConnections || 'N/A'}</div>
+                    <div><span class="info-label">Bridges Clusters:</span> ${escapeXml(attrs.bridgesClusters || 'N/A')}</div>
+                    <div><span class="info-label">Cluster Connections:</span> ${escapeXml(attrs.clusterConnections || 'N/A')}</div>
                 </div>
             `;
         }
@@ -795,28 +7151,28 @@ function createSidebarManager() {
         // Cluster information
         let clusterInfo = '';
         if (attrs.cluster !== undefined && attrs.cluster !== null) {
-            clusterInfo = `<div><span class="info-label">Cluster:</span> ${attrs.cluster}</div>`;
+            clusterInfo = `<div><span class="info-label">Cluster:</span> ${escapeXml(attrs.cluster)}</div>`;
         }
         
         // Closed channels
         let closedChannelsInfo = '';
         if (attrs.closedChannelsCount !== undefined && attrs.closedChannelsCount !== null) {
-            closedChannelsInfo = `<div><span class="info-label">Closed Channels:</span> ${attrs.closedChannelsCount}</div>`;
+            closedChannelsInfo = `<div><span class="info-label">Closed Channels:</span> ${escapeXml(attrs.closedChannelsCount)}</div>`;
         }
 
         document.getElementById('node-info').innerHTML = `
-            <div class="info-title">${nodeAttributes.label}</div>
+            <div class="info-title">${escapeXml(nodeAttributes.label)}</div>
             <div class="info-content">
                 ${clusterInfo}
-                <div><span class="info-label">Type:</span> ${attrs.nodeType || 'Unknown'}</div>
-                <div><span class="info-label">Total Capacity:</span> ${attrs.totalCapacity}</div>
-                <div><span class="info-label">Total Channels:</span> ${attrs.totalChannels}</div>
+                <div><span class="info-label">Type:</span> ${escapeXml(attrs.nodeType || 'Unknown')}</div>
+                <div><span class="info-label">Total Capacity:</span> ${escapeXml(attrs.totalCapacity)}</div>
+                <div><span class="info-label">Total Channels:</span> ${escapeXml(attrs.totalChannels)}</div>
                 ${closedChannelsInfo}
-                <div><span class="info-label">Pleb Rank:</span> ${attrs.plebRank}</div>
-                <div><span class="info-label">Capacity Rank:</span> ${attrs.capacityRank}</div>
-                <div><span class="info-label">Channels Rank:</span> ${attrs.channelsRank}</div>
-                <div><span class="info-label">Public Key:</span> ${attrs.pubKey}</div>
-                <div><span class="info-label">Birth Transaction:</span> ${attrs.birthTx || 'N/A'}</div>
+                <div><span class="info-label">Pleb Rank:</span> ${escapeXml(attrs.plebRank)}</div>
+                <div><span class="info-label">Capacity Rank:</span> ${escapeXml(attrs.capacityRank)}</div>
+                <div><span class="info-label">Channels Rank:</span> ${escapeXml(attrs.channelsRank)}</div>
+                <div><span class="info-label">Public Key:</span> ${escapeXml(attrs.pubKey)}</div>
+                <div><span class="info-label">Birth Transaction:</span> ${escapeXml(attrs.birthTx || 'N/A')}</div>
                 ${bridgeInfo}
                 <div style="margin-top: 10px;"><span class="info-label">Channel Categories:</span></div>
                 ${categoryCountsHtml}
@@ -835,14 +7191,14 @@ function createSidebarManager() {
             bridgeInfo = `
                 <div style="margin-top: 10px; padding: 10px; background: rgba(176, 176, 176, 0.1); border-left: 3px solid #B0B0B0;">
                     <div style="font-weight: bold; color: #B0B0B0;">🌉 Critical Bridge Channel</div>
-                    <div><span class="info-label">Connects Clusters:</span> ${attrs.connectsClusters || 'N/A'}</div>
+                    <div><span class="info-label">Connects Clusters:</span> ${escapeXml(attrs.connectsClusters || 'N/A')}</div>
                 </div>
             `;
         } else if (attrs.isBridgeChannel) {
             bridgeInfo = `
                 <div style="margin-top: 10px; padding: 10px; background: rgba(200, 200, 200, 0.1); border-left: 3px solid #C8C8C8;">
                     <div style="font-weight: bold; color: #C8C8C8;">🌉 Bridge Channel</div>
-                    <div><span class="info-label">Connects Clusters:</span> ${attrs.connectsClusters || 'N/A'}</div>
+                    <div><span class="info-label">Connects Clusters:</span> ${escapeXml(attrs.connectsClusters || 'N/A')}</div>
                 </div>
             `;
         }
@@ -861,7 +7217,7 @@ function createSidebarManager() {
                     <div style="margin-bottom: 8px;">
                         <div style="font-weight: bold;">Channel ${index + 1}</div>
                         <div><span class="info-label">Capacity:</span> ${formatCapacity(channel.capacity)}</div>
-                        <div><span class="info-label">Birth Tx:</span> ${birthTx}</div>
+                        <div><span class="info-label">Birth Tx:</span> ${escapeXml(birthTx)}</div>
                     </div>
                 `;
             });
@@ -878,14 +7234,14 @@ function createSidebarManager() {
             if (channels && Array.isArray(channels) && channels.length > 0) {
                 birthTx = channels[0].birth_tx || 'N/A';
             }
-            channelDetailsInfo = `<div><span class="info-label">Birth Transaction:</span> ${birthTx}</div>`;
+            channelDetailsInfo = `<div><span class="info-label">Birth Transaction:</span> ${escapeXml(birthTx)}</div>`;
         }
 
         document.getElementById('edge-info').innerHTML = `
             <div class="info-title">Channel Details</div>
             <div class="info-content">
-                <div><span class="info-label">From:</span> ${sourceNode.label}</div>
-                <div><span class="info-label">To:</span> ${targetNode.label}</div>
+                <div><span class="info-label">From:</span> ${escapeXml(sourceNode.label)}</div>
+                <div><span class="info-label">To:</span> ${escapeXml(targetNode.label)}</div>
                 <div><span class="info-label">Capacity:</span> ${formatCapacity(attrs.capacity)}</div>
                 ${channelDetailsInfo}
                 ${bridgeInfo}
@@ -914,56 +7270,50 @@ function createSidebarManager() {
  * @param {Object} graph - Graphology graph instance
  * @param {Object} tooltipManager - Tooltip management API
  * @param {Object} sidebarManager - Sidebar management API
+ * @param {Object} visibility - Visibility manager holding the selection focus
+ * @returns {Object} API with selectNode(nodeId)
  */
-function setupEventHandlers(renderer, graph, tooltipManager, sidebarManager) {
+function setupEventHandlers(renderer, graph, tooltipManager, sidebarManager, visibility) {
     // State reducer for graph display based on selection
     // This follows the Sigma.js demo pattern for node selection highlighting
+    // Which nodes/edges are in focus is decided by the visibility manager
     renderer.setSetting('nodeReducer', (node, data) => {
         const res = { ...data };
         
-        if (selectedNode) {
-            // If a node is selected, dim all nodes except selected and its neighbors
-            if (node === selectedNode || graph.hasEdge(node, selectedNode) || graph.hasEdge(selectedNode, node)) {
-                // Selected node and neighbors remain normal
-                res.highlighted = true;
-            } else {
-                // Other nodes are dimmed
+        if (visibility.focusNode) {
+            if (visibility.isDimmed(node)) {
+                // Nodes outside the selection focus are dimmed
                 res.color = '#F3F4F6';
                 res.highlighted = false;
+            } else {
+                // Selected node and neighbors remain normal
+                res.highlighted = true;
             }
         }
         
-        return res;
+        return visibility.styleNode(node, res);
     });
     
     renderer.setSetting('edgeReducer', (edge, data) => {
         const res = { ...data };
         
-        if (selectedNode) {
-            // Only show edges connected to the selected node
-            const source = graph.source(edge);
-            const target = graph.target(edge);
-            
-            if (source === selectedNode || target === selectedNode) {
-                // Connected edges are highlighted with the selected node's cluster color
-                res.hidden = false;
-                const selectedNodeAttrs = graph.getNodeAttributes(selectedNode);
-                const cluster = selectedNodeAttrs.attributes.cluster;
-                res.color = CLUSTER_COLORS[cluster] || CLUSTER_COLORS.DEFAULT;
-                res.size = Math.max(res.size || 1, 2);  // Make connected edges slightly thicker
-            } else {
-                // Other edges are hidden
-                res.hidden = true;
-            }
+        if (visibility.focusNode && !data.hidden) {
+            // Remaining edges are connected to the selected node: use its cluster color
+            const selectedNodeAttrs = graph.getNodeAttributes(visibility.focusNode);
+            const cluster = selectedNodeAttrs.attributes.cluster;
+            res.color = getClusterColor(cluster);
+            res.size = Math.max(res.size || 1, 2);  // Make connected edges slightly thicker
         }
         
-        return res;
+        return visibility.styleEdge(edge, res);
     });
     
     // Tooltip handlers
     renderer.on('enterNode', event => {
         const nodeAttributes = graph.getNodeAttributes(event.node);
-        const content = tooltipManager.createNodeTooltip(nodeAttributes);
+        const content = nodeAttributes.isMeta
+            ? tooltipManager.createMetaNodeTooltip(nodeAttributes)
+            : tooltipManager.createNodeTooltip(nodeAttributes);
         tooltipManager.show(content, event);
     });
 
@@ -973,7 +7323,9 @@ function setupEventHandlers(renderer, graph, tooltipManager, sidebarManager) {
 
     renderer.on('enterEdge', event => {
         const edgeAttributes = graph.getEdgeAttributes(event.edge);
-        const content = tooltipManager.createEdgeTooltip(edgeAttributes, graph, event.edge);
+        const content = edgeAttributes.isMeta
+            ? tooltipManager.createMetaEdgeTooltip(edgeAttributes, graph, event.edge)
+            : tooltipManager.createEdgeTooltip(edgeAttributes, graph, event.edge);
         tooltipManager.show(content, event);
     });
 
@@ -990,33 +7342,65 @@ function setupEventHandlers(renderer, graph, tooltipManager, sidebarManager) {
 
     // Click handlers - Sigma.js demo style
     renderer.on('clickNode', event => {
-        const nodeAttributes = graph.getNodeAttributes(event.node);
-        sidebarManager.updateNodeInfo(nodeAttributes);
+        // Collapsed clusters are expanded by double-clicking and cannot be selected
+        if (graph.getNodeAttribute(event.node, 'isMeta')) return;
         
-        // Toggle node selection - clicking same node deselects it
-        if (selectedNode === event.node) {
-            selectedNode = null;
-        } else {
-            selectedNode = event.node;
+        // A pending "pick on graph" request consumes the click instead of selecting
+        if (nodePickHandler) {
+            const handler = nodePickHandler;
+            nodePickHandler = null;
+            document.getElementById('graph-container').classList.remove('picking-node');
+            handler(event.node);
+            return;
         }
         
-        // Refresh renderer to apply the reducers
-        renderer.refresh();
+        // Toggle node selection - clicking same node deselects it
+        showNode(event.node, selectedNode === event.node ? null : event.node);
     });
     
+    /**
+     * Shows a node in the sidebar and makes the given node the selection
+     * @param {string} nodeId - Node whose details and actions are shown
+     * @param {string|null} selection - New selected node (null keeps the details but deselects)
+     */
+    function showNode(nodeId, selection) {
+        sidebarManager.updateNodeInfo(graph.getNodeAttributes(nodeId));
+        selectedNode = selection;
+        
+        // An isolated neighborhood follows the selection; otherwise apply the selection focus
+        if (currentEgoExplorer) currentEgoExplorer.handleSelection(selectedNode);
+        if (currentWhatIf) currentWhatIf.renderAction('node', nodeId);
+        if (currentNodeComparison) currentNodeComparison.renderAction(nodeId);
+        if (!currentEgoExplorer || !currentEgoExplorer.isActive()) {
+            visibility.setFocus(selectedNode);
+            visibility.recompute();
+        }
+    }
+    
+    function clearSelection() {
+        selectedNode = null;
+        sidebarManager.reset();
+        if (currentEgoExplorer) currentEgoExplorer.handleSelection(null);
+        visibility.setFocus(null);
+        visibility.recompute();
+    }
+    
     // Click on stage (background) to deselect
     renderer.on('clickStage', () => {
-        if (selectedNode) {
-            selectedNode = null;
-            sidebarManager.reset();
-            renderer.refresh();
-        }
+        if (selectedNode) clearSelection();
     });
 
     renderer.on('clickEdge', event => {
         const edgeAttributes = graph.getEdgeAttributes(event.edge);
+        if (edgeAttributes.isMeta) return;
         sidebarManager.updateEdgeInfo(edgeAttributes, graph, event.edge);
+        if (currentWhatIf) currentWhatIf.renderAction('edge', event.edge);
     });
+    
+    return {
+        // Programmatic selection, e.g. when restoring a deep link (null clears it)
+        selectNode: nodeId => nodeId ? showNode(nodeId, nodeId) : clearSelection()
+    };
 }
 
 // =============================================================================
@@ -1159,151 +7543,174 @@ function createLayoutManager(graph, renderer, nodes, originalPositions) {
 // MAIN VISUALIZATION CREATION
 // =============================================================================
 
+/**
+ * Builds the graph attributes of a node: position, size, colors and display attributes
+ * @param {Object} node - Mapped node record (snake_case fields)
+ * @param {Object} sizeCalculators - Size calculators from createSizeCalculators
+ * @returns {Object} Graphology node attributes
+ */
+function createNodeGraphAttributes(node, sizeCalculators) {
+    // Extract node data (all in snake_case format)
+    const totalChannels = node.total_channels || 0;
+    const totalCapacity = node.total_capacity || 0;
+    const formattedCapacity = node.formatted_total_capacity || formatCapacity(totalCapacity);
+    const nodeType = node.node_type || 'Unknown';
+    const channelSegment = node.channel_segment || 'Unknown';
+    const categoryCount = node.category_counts || {};
+    const plebRank = node.pleb_rank || 'N/A';
+    const capacityRank = node.capacity_rank || 'N/A';
+    const channelsRank = node.channels_rank || 'N/A';
+    const pubKey = node.pub_key || node.id || '';
+    
+    // New enhanced data fields
+    const cluster = node.cluster;
+    const isBridgeNode = node.is_bridge_node || false;
+    const isImportantBridgeNode = node.is_important_bridge_node || false;
+    const bridgesClusters = node.bridges_clusters;
+    const clusterConnections = node.cluster_connections;
+    const nodeBetweenness = node.node_betweenness;
+    const closedChannelsCount = node.closed_channels_count;
+    
+    // Use provided coordinates or generate random ones
+    const x = node.x !== undefined ? node.x : Math.random() * 1000;
+    const y = node.y !== undefined ? node.y : Math.random() * 1000;
+    
+    // Set node color (do not use color from data, only use cluster-based coloring)
+    const nodeColor = getNodeColor(node);
+    
+    // Calculate node size using only channel count (no betweenness)
+    const nodeSize = sizeCalculators.nodeSize(totalChannels);
+    
+    return {
+        x: x,
+        y: y,
+        size: nodeSize,
+        label: node.alias || node.id,
+        color: nodeColor,
+        // Border for bridge nodes
+        borderColor: isImportantBridgeNode ? BRIDGE_NODE_CONFIG.IMPORTANT_BRIDGE.borderColor :
+                    isBridgeNode ? BRIDGE_NODE_CONFIG.REGULAR_BRIDGE.borderColor : undefined,
+        borderSize: isImportantBridgeNode ? BRIDGE_NODE_CONFIG.IMPORTANT_BRIDGE.borderWidth :
+                   isBridgeNode ? BRIDGE_NODE_CONFIG.REGULAR_BRIDGE.borderWidth : 0,
+        // Store all attributes for display
+        attributes: {
+            alias: node.alias,
+            nodeType: nodeType,
+            totalCapacity: formattedCapacity,
+            totalChannels: totalChannels,
+            channelSegment: channelSegment,
+            categoryCount: categoryCount,
+            plebRank: plebRank,
+            capacityRank: capacityRank,
+            channelsRank: channelsRank,
+            pubKey: pubKey,
+            cluster: cluster,
+            isBridgeNode: isBridgeNode,
+            isImportantBridgeNode: isImportantBridgeNode,
+            bridgesClusters: bridgesClusters,
+            clusterConnections: clusterConnections,
+            nodeBetweenness: nodeBetweenness,
+            closedChannelsCount: closedChannelsCount,
+            birthTx: node.birth_tx
+        },
+        // Mapped record with long attribute names, used by expression filters
+        record: node
+    };
+}
+
+/**
+ * Builds the graph attributes of an edge: width, color and display attributes
+ * @param {Object} edge - Mapped edge record (snake_case fields)
+ * @param {Object} sizeCalculators - Size calculators from createSizeCalculators
+ * @returns {Object} Graphology edge attributes
+ */
+function createEdgeGraphAttributes(edge, sizeCalculators) {
+    // Extract edge data (all in snake_case format)
+    const channelSizeTier = edge.channel_size_tier || 'Unknown';
+    const channelSizeRange = edge.channel_size_range || 'Unknown';
+    
+    // New enhanced data fields
+    const isBridgeChannel = edge.is_bridge_channel || false;
+    const isImportantBridgeChannel = edge.is_important_bridge_channel || false;
+    const connectsClusters = edge.connects_clusters;
+    const edgeBetweenness = edge.edge_betweenness;
+    
+    // Multi-channel data
+    const channelCount = edge.channel_count || 1;
+    const channels = edge.channels || [];
+    
+    // Get edge color (do not use color from data, only use bridge/highlight logic)
+    const color = edge.is_important_bridge_channel ? EDGE_HIGHLIGHT.IMPORTANT_BRIDGE :
+                  edge.is_bridge_channel ? EDGE_HIGHLIGHT.REGULAR_BRIDGE :
+                  EDGE_HIGHLIGHT.DEFAULT;
+    
+    // Calculate edge width using only capacity (no betweenness)
+    const edgeWidth = sizeCalculators.edgeWidth(edge.capacity);
+    
+    return {
+        size: edgeWidth,
+        color: color,
+        type: edge.type || 'line',
+        // Store all attributes for display
+        attributes: {
+            id: edge.id,
+            channelSizeTier: channelSizeTier,
+            channelSizeRange: channelSizeRange,
+            capacity: edge.capacity,
+            isBridgeChannel: isBridgeChannel,
+            isImportantBridgeChannel: isImportantBridgeChannel,
+            connectsClusters: connectsClusters,
+            edgeBetweenness: edgeBetweenness,
+            channelCount: channelCount,
+            channels: channels
+        },
+        // Mapped record with long attribute names, used by expression filters
+        record: edge
+    };
+}
+
 /**
  * Creates the complete interactive graph visualization from loaded data
  * Works with the new enhanced data format (snake_case fields, clusters, betweenness, etc.)
- * @param {Object} data - Parsed JSON data containing nodes and edges arrays
+ * @param {Object} dataset - Prepared dataset from prepareDataset: mapped nodes and edges and their statistics
  * @param {string} jsonFile - Path to JSON file containing graph data
  */
-function createVisualization(data, jsonFile) {
+function createVisualization(dataset, jsonFile) {
     // Initialize the graph
     const graph = new graphology.Graph();
     
-    // Extract nodes and edges from the data and map them to original format
-    const rawNodes = data.nodes || [];
-    const rawEdges = data.edges || [];
-    
-    // Map nodes and edges from shortened format to original format
-    const nodes = rawNodes.map(mapNodeAttributes);
-    const edges = rawEdges.map(mapEdgeAttributes);
+    // Nodes and edges were mapped from the shortened format by the dataset worker
+    const { nodes, edges, dataStats } = dataset;
     
     // Store original positions for proper reset functionality
     const originalPositions = new Map();
     
-    // Calculate all statistics once
-    const dataStats = calculateDataStats(nodes, edges);
+    // Statistics were calculated once while loading
     const sizeCalculators = createSizeCalculators(dataStats);
 
     // Build graph: Add nodes with calculated sizes and colors
     nodes.forEach(node => {
-        // Extract node data (all in snake_case format)
-        const totalChannels = node.total_channels || 0;
-        const totalCapacity = node.total_capacity || 0;
-        const formattedCapacity = node.formatted_total_capacity || formatCapacity(totalCapacity);
-        const nodeType = node.node_type || 'Unknown';
-        const channelSegment = node.channel_segment || 'Unknown';
-        const categoryCount = node.category_counts || {};
-        const plebRank = node.pleb_rank || 'N/A';
-        const capacityRank = node.capacity_rank || 'N/A';
-        const channelsRank = node.channels_rank || 'N/A';
-        const pubKey = node.pub_key || node.id || '';
-        
-        // New enhanced data fields
-        const cluster = node.cluster;
-        const isBridgeNode = node.is_bridge_node || false;
-        const isImportantBridgeNode = node.is_important_bridge_node || false;
-        const bridgesClusters = node.bridges_clusters;
-        const clusterConnections = node.cluster_connections;
-        const nodeBetweenness = node.node_betweenness;
-        const closedChannelsCount = node.closed_channels_count;
-        
-        // Use provided coordinates or generate random ones
-        const x = node.x !== undefined ? node.x : Math.random() * 1000;
-        const y = node.y !== undefined ? node.y : Math.random() * 1000;
-        
-        // Set node color (do not use color from data, only use cluster-based coloring)
-        const nodeColor = node.cluster !== undefined && node.cluster !== null
-            ? CLUSTER_COLORS[node.cluster] || CLUSTER_COLORS.DEFAULT
-            : CLUSTER_COLORS.DEFAULT;
-        
-        // Calculate node size using only channel count (no betweenness)
-        const nodeSize = sizeCalculators.nodeSize(totalChannels);
-        
-        graph.addNode(node.id, {
-            x: x,
-            y: y,
-            size: nodeSize,
-            label: node.alias || node.id,
-            color: nodeColor,
-            // Border for bridge nodes
-            borderColor: isImportantBridgeNode ? BRIDGE_NODE_CONFIG.IMPORTANT_BRIDGE.borderColor :
-                        isBridgeNode ? BRIDGE_NODE_CONFIG.REGULAR_BRIDGE.borderColor : undefined,
-            borderSize: isImportantBridgeNode ? BRIDGE_NODE_CONFIG.IMPORTANT_BRIDGE.borderWidth :
-                       isBridgeNode ? BRIDGE_NODE_CONFIG.REGULAR_BRIDGE.borderWidth : 0,
-            // Store all attributes for display
-            attributes: {
-                alias: node.alias,
-                nodeType: nodeType,
-                totalCapacity: formattedCapacity,
-                totalChannels: totalChannels,
-                channelSegment: channelSegment,
-                categoryCount: categoryCount,
-                plebRank: plebRank,
-                capacityRank: capacityRank,
-                channelsRank: channelsRank,
-                pubKey: pubKey,
-                cluster: cluster,
-                isBridgeNode: isBridgeNode,
-                isImportantBridgeNode: isImportantBridgeNode,
-                bridgesClusters: bridgesClusters,
-                clusterConnections: clusterConnections,
-                nodeBetweenness: nodeBetweenness,
-                closedChannelsCount: closedChannelsCount,
-                birthTx: node.birth_tx
-            }
-        });
+        const nodeAttributes = createNodeGraphAttributes(node, sizeCalculators);
+        graph.addNode(node.id, nodeAttributes);
         
         // Store original position for reset functionality
-        originalPositions.set(node.id, { x: x, y: y });
+        originalPositions.set(node.id, { x: nodeAttributes.x, y: nodeAttributes.y });
     });
 
     // Build graph: Add edges with dynamic coloring
     edges.forEach(edge => {
         try {
-            // Extract edge data (all in snake_case format)
-            const channelSizeTier = edge.channel_size_tier || 'Unknown';
-            const channelSizeRange = edge.channel_size_range || 'Unknown';
-            
-            // New enhanced data fields
-            const isBridgeChannel = edge.is_bridge_channel || false;
-            const isImportantBridgeChannel = edge.is_important_bridge_channel || false;
-            const connectsClusters = edge.connects_clusters;
-            const edgeBetweenness = edge.edge_betweenness;
-            
-            // Multi-channel data
-            const channelCount = edge.channel_count || 1;
-            const channels = edge.channels || [];
-            
-            // Get edge color (do not use color from data, only use bridge/highlight logic)
-            const color = edge.is_important_bridge_channel ? EDGE_HIGHLIGHT.IMPORTANT_BRIDGE :
-                          edge.is_bridge_channel ? EDGE_HIGHLIGHT.REGULAR_BRIDGE :
-                          EDGE_HIGHLIGHT.DEFAULT;
-            
-            // Calculate edge width using only capacity (no betweenness)
-            const edgeWidth = sizeCalculators.edgeWidth(edge.capacity);
-            
-            graph.addEdge(edge.source, edge.target, {
-                size: edgeWidth,
-                color: color,
-                type: edge.type || 'line',
-                // Store all attributes for display
-                attributes: {
-                    id: edge.id,
-                    channelSizeTier: channelSizeTier,
-                    channelSizeRange: channelSizeRange,
-                    capacity: edge.capacity,
-                    isBridgeChannel: isBridgeChannel,
-                    isImportantBridgeChannel: isImportantBridgeChannel,
-                    connectsClusters: connectsClusters,
-                    edgeBetweenness: edgeBetweenness,
-                    channelCount: channelCount,
-                    channels: channels
-                }
-            });
+            graph.addEdge(edge.source, edge.target, createEdgeGraphAttributes(edge, sizeCalculators));
         } catch (e) {
             console.error("Error adding edge:", e, edge);
+            addReportIssue(dataset.report, 'error', 'add-edge', 'Edge could not be added to the graph (dropped)', edge.id);
+            dataset.report.dropped.edges++;
         }
     });
+    renderLoadReport(dataset.report, false);
+
+    // Fill in or cross-check bridge flags from the actual graph structure
+    const bridgeReport = applyComputedBridgeFlags(graph);
 
     // Initialize Sigma.js renderer
     const container = document.getElementById('graph-container');
@@ -1330,6 +7737,14 @@ function createVisualization(data, jsonFile) {
     currentRenderer = renderer;
     currentGraph = graph; // Store graph reference for summary updates
 
+    // Combine filters, search and selection into node/edge visibility
+    const visibility = createVisibilityManager(graph, renderer);
+    currentVisibility = visibility;
+    
+    // Listeners for sidebar panels are scoped to this dataset
+    visualizationListeners = new AbortController();
+    const listenerOptions = { signal: visualizationListeners.signal };
+
     // Initialize layout management system
     const layoutManager = createLayoutManager(graph, renderer, nodes, originalPositions);
     currentLayoutManager = layoutManager;
@@ -1343,113 +7758,46 @@ function createVisualization(data, jsonFile) {
     const sidebarManager = createSidebarManager();
     
     // Set up all event handlers for user interactions
-    setupEventHandlers(renderer, graph, tooltipManager, sidebarManager);
+    const eventHandlers = setupEventHandlers(renderer, graph, tooltipManager, sidebarManager, visibility);
 
     // Update network summary with initial counts
     updateNetworkSummary();
+    
+    // Sidebar analysis tools
+    renderBridgeReport(graph, bridgeReport);
+    setupCommunityDetection(graph, visibility, listenerOptions);
+    setupSnapshotDiff(graph, visibility, { nodes, edges }, sizeCalculators, listenerOptions);
+    setupTimelineReplay(graph, visibility, listenerOptions);
+    setupExportMenu(graph, renderer, visibility, jsonFile, listenerOptions);
+    createLegend(graph, visibility, sizeCalculators, listenerOptions);
+    setupClusterOverview(graph, renderer, visibility, listenerOptions);
+    currentClusterCollapse = createClusterCollapse(graph, renderer, visibility, listenerOptions);
+    setupStatisticsDashboard(graph, visibility, listenerOptions);
+    currentNodeComparison = createNodeComparison(graph, renderer, visibility, listenerOptions);
+    setupRouteFinder(graph, renderer, visibility, listenerOptions);
+    currentEgoExplorer = createEgoExplorer(graph, renderer, visibility, listenerOptions);
+    currentWhatIf = createWhatIfSimulator(graph, renderer, visibility, listenerOptions);
+    currentViewState = createViewState(graph, renderer, visibility, eventHandlers.selectNode, listenerOptions);
+    setupKeyboardNavigation(graph, renderer, visibility, eventHandlers.selectNode, listenerOptions);
+    setupTableView(graph, visibility, eventHandlers.selectNode, listenerOptions);
 
-    // Search functionality: filters graph based on multiple node fields matching
+    // Search functionality: restricts the search layer to nodes matching multiple fields
     const searchInput = document.getElementById('search-input');
     if (searchInput) {
-        searchInput.addEventListener('input', event => {
-            const query = event.target.value.toLowerCase();
-
-            if (query.length < TIMING.SEARCH_MIN_LENGTH) {
-                // Reset all nodes visibility
-                graph.forEachNode(node => {
-                    graph.setNodeAttribute(node, 'hidden', false);
-                });
-                graph.forEachEdge(edge => {
-                    graph.setEdgeAttribute(edge, 'hidden', false);
-                });
-                renderer.refresh();
-                return;
-            }
-
-            // Hide all nodes and edges first
-            graph.forEachNode(node => {
-                graph.setNodeAttribute(node, 'hidden', true);
-            });
-            graph.forEachEdge(edge => {
-                graph.setEdgeAttribute(edge, 'hidden', true);
-            });
-
-            // Enhanced search with multiple criteria
-            const searchTerms = query.split(' ').filter(term => term.length > 0);
-            const matchingNodes = new Set();
-            const originalMatchingNodes = new Set();
-
-            graph.forEachNode(node => {
-                const nodeAttributes = graph.getNodeAttributes(node);
-                const attrs = nodeAttributes.attributes;
-                
-                // Multi-field search
-                const basicSearchableText = [
-                    nodeAttributes.label || '',
-                    attrs.alias || '',
-                    attrs.nodeType || '',
-                    attrs.channelSegment || '',
-                    attrs.pubKey || ''
-                ].join(' ').toLowerCase();
-                
-                // Add channel categories from category counts (only if count > 0)
-                let channelTypesText = '';
-                try {
-                    const categoryCountsObj = typeof attrs.categoryCount === 'string' 
-                        ? JSON.parse(attrs.categoryCount) 
-                        : attrs.categoryCount;
-                        
-                    if (categoryCountsObj && typeof categoryCountsObj === 'object') {
-                        const activeChannelTypes = Object.keys(categoryCountsObj)
-                            .filter(channelType => categoryCountsObj[channelType] > 0)
-                            .map(channelType => channelType.toLowerCase());
-                        channelTypesText = activeChannelTypes.join(' ');
-                    }
-                } catch (e) {
-                    channelTypesText = '';
-                }
-                
-                // Add cluster if available
-                let clusterText = '';
-                if (attrs.cluster !== undefined && attrs.cluster !== null) {
-                    clusterText = `cluster ${attrs.cluster}`;
-                }
-                
-                // Combine all searchable text
-                const searchableText = basicSearchableText + ' ' + channelTypesText + ' ' + clusterText;
-                
-                // Check if ALL search terms are found (AND logic)
-                const isMatch = searchTerms.every(term => searchableText.includes(term));
-                
-                if (isMatch) {
-                    graph.setNodeAttribute(node, 'hidden', false);
-                    matchingNodes.add(node);
-                    originalMatchingNodes.add(node);
-
-                    // Show connected nodes and edges
-                    graph.forEachNeighbor(node, neighbor => {
-                        graph.setNodeAttribute(neighbor, 'hidden', false);
-                        matchingNodes.add(neighbor);
-                    });
-                }
-            });
-
-            // Show edges ONLY if at least one end is an original matching node
-            graph.forEachEdge(edge => {
-                const source = graph.source(edge);
-                const target = graph.target(edge);
-                
-                if ((originalMatchingNodes.has(source) || originalMatchingNodes.has(target)) &&
-                    matchingNodes.has(source) && matchingNodes.has(target)) {
-                    graph.setEdgeAttribute(edge, 'hidden', false);
-                }
-            });
-
-            renderer.refresh();
+        // Replace the handler of a previously loaded dataset
+        if (currentSearchHandler) {
+            searchInput.removeEventListener('input', currentSearchHandler);
+        }
+        currentSearchHandler = event => {
+            const matches = computeSearchMatches(graph, event.target.value.toLowerCase());
             
-            // Update network summary after search
-            updateNetworkSummary();
-        });
+            visibility.setLayer('search', matches ? {
+                node: nodeId => matches.nodes.has(nodeId),
+                edge: edgeId => matches.edges.has(edgeId)
+            } : null);
+            visibility.recompute();
+        };
+        searchInput.addEventListener('input', currentSearchHandler);
     }
 
     // Setup control buttons only once
@@ -1488,15 +7836,8 @@ function createVisualization(data, jsonFile) {
                 // Use layout manager for reset
                 currentLayoutManager.reset();
                 
-                // Reset any node/edge filtering
+                // Clear search and selection; active filters stay applied
                 selectedNode = null;
-                const graph = currentRenderer.getGraph();
-                graph.forEachNode(node => {
-                    graph.setNodeAttribute(node, 'hidden', false);
-                });
-                graph.forEachEdge(edge => {
-                    graph.setEdgeAttribute(edge, 'hidden', false);
-                });
                 
                 // Clear search input
                 const searchInput = document.getElementById('search-input');
@@ -1504,6 +7845,13 @@ function createVisualization(data, jsonFile) {
                     searchInput.value = '';
                 }
                 
+                if (currentEgoExplorer) currentEgoExplorer.handleSelection(null);
+                if (currentVisibility) {
+                    currentVisibility.setLayer('search', null);
+                    currentVisibility.setFocus(null);
+                    currentVisibility.recompute();
+                }
+                
                 // Reset sidebar information
                 document.getElementById('node-info').innerHTML = `
                     <div class="info-title">Node Information</div>
@@ -1529,16 +7877,35 @@ function createVisualization(data, jsonFile) {
                        window.graphology?.layoutForceAtlas2 ||
                        (typeof graphologyLayoutForceAtlas2 !== 'undefined' ? graphologyLayoutForceAtlas2 : null);
 
+    // Datasets without positions (e.g. imported node gossip) start from random ones;
+    // a ForceAtlas2 run pulls connected nodes together
+    if (forceAtlas2 && nodes.some(node => node.x === undefined || node.y === undefined)) {
+        layoutManager.start(forceAtlas2, { iterations: 1, settings: forceAtlas2.inferSettings(graph) });
+    }
+
     // =============================================================================
     // FILTER SYSTEM
     // =============================================================================
     
-    // Store total node count for filter display
-    totalNodeCount = graph.order;
+    // Completable expression fields, including the category names present in this dataset
+    const categoryNames = new Set();
+    nodes.forEach(node => {
+        if (node.category_counts && typeof node.category_counts === 'object') {
+            Object.keys(node.category_counts).forEach(name => categoryNames.add(name));
+        }
+    });
+    expressionFieldNames = [
+        ...getExpressionFields('node').filter(name => !EXPRESSION_OBJECT_FIELDS.includes(name)),
+        ...[...categoryNames].map(name => `category_counts.${name.replace(/ /g, '_')}`),
+        ...getExpressionFields('channel').map(name => `channel.${name}`)
+    ];
     
     // Initialize filter UI
     updateFilterUI();
     
+    // Filters kept from the previous dataset (switching in place) apply to this graph as well
+    if (filterState.isActive) applyFilters();
+    
     /**
      * Check if a node passes all active filters
      */
@@ -1562,47 +7929,75 @@ function createVisualization(data, jsonFile) {
             if (!attrs.isBridgeNode && !attrs.isImportantBridgeNode) return false;
         }
         
+        // Expression filter (node clauses)
+        if (filterState.expression && filterState.expression.nodePredicate) {
+            if (!filterState.expression.nodePredicate(graph.getNodeAttribute(nodeId, 'record'))) return false;
+        }
+        
         return true;
     }
     
     /**
-     * Apply filters to the graph
+     * Check if an edge (channel connection) passes all active channel filters
+     * Endpoint visibility is handled separately in applyFilters
      */
-    function applyFilters() {
-        let visibleCount = 0;
+    function edgePassesFilters(edgeId) {
+        if (!filterState.isActive) return true;
         
-        // Apply filters to nodes
-        graph.forEachNode(nodeId => {
-            const passes = nodePassesFilters(nodeId);
-            graph.setNodeAttribute(nodeId, 'hidden', !passes);
-            if (passes) visibleCount++;
-        });
+        const attrs = graph.getEdgeAttributes(edgeId).attributes;
         
-        // Hide edges where both nodes are hidden
-        graph.forEachEdge(edgeId => {
-            const source = graph.source(edgeId);
-            const target = graph.target(edgeId);
-            const sourceHidden = graph.getNodeAttribute(source, 'hidden');
-            const targetHidden = graph.getNodeAttribute(target, 'hidden');
-            graph.setEdgeAttribute(edgeId, 'hidden', sourceHidden || targetHidden);
-        });
+        // Bridge channel filter
+        if (filterState.channelBridgeFilter === 'important_only') {
+            if (!attrs.isImportantBridgeChannel) return false;
+        } else if (filterState.channelBridgeFilter === 'bridge_only') {
+            if (!attrs.isBridgeChannel && !attrs.isImportantBridgeChannel) return false;
+        }
+        
+        // Inter-cluster filter: use connects_clusters when present, otherwise compare endpoint clusters
+        if (filterState.interClusterOnly && !attrs.connectsClusters) {
+            const sourceCluster = graph.getNodeAttributes(graph.source(edgeId)).attributes.cluster;
+            const targetCluster = graph.getNodeAttributes(graph.target(edgeId)).attributes.cluster;
+            if (sourceCluster === undefined || sourceCluster === null ||
+                targetCluster === undefined || targetCluster === null ||
+                sourceCluster === targetCluster) {
+                return false;
+            }
+        }
         
-        // Update visible count
-        document.getElementById('visible-count').textContent = visibleCount;
-        document.getElementById('total-count').textContent = totalNodeCount;
+        // Capacity range filter on total_capacity
+        const capacity = attrs.capacity || 0;
+        if (filterState.channelCapacityMin !== null && capacity < filterState.channelCapacityMin) return false;
+        if (filterState.channelCapacityMax !== null && capacity > filterState.channelCapacityMax) return false;
         
-        renderer.refresh();
+        // Multi-channel filter
+        if (filterState.multiChannelOnly && !(attrs.channelCount > 1)) return false;
         
-        // Update network summary after filters
-        updateNetworkSummary();
+        // Expression filter (channel clauses)
+        if (filterState.expression && filterState.expression.edgePredicate) {
+            if (!filterState.expression.edgePredicate(graph.getEdgeAttribute(edgeId, 'record'))) return false;
+        }
+        
+        return true;
+    }
+    
+    /**
+     * Apply filters to the graph through the visibility manager's filter layer
+     * Search and selection layers are combined with the result, not overwritten
+     */
+    function applyFilters() {
+        visibility.setLayer('filters', filterState.isActive ? {
+            node: nodePassesFilters,
+            edge: edgePassesFilters,
+            hideIsolatedNodes: filterState.hideIsolatedNodes
+        } : null);
+        visibility.recompute();
     }
     
     /**
      * Update filter UI elements
      */
     function updateFilterUI() {
-        document.getElementById('visible-count').textContent = totalNodeCount;
-        document.getElementById('total-count').textContent = totalNodeCount;
+        updateFilterCounter(visibility.counts);
     }
     
     // Pleb Rank slider
@@ -1617,7 +8012,7 @@ function createVisualization(data, jsonFile) {
             } else {
                 plebRankValue.textContent = `Top ${value}`;
             }
-        });
+        }, listenerOptions);
     }
     
     // Bridge node filter checkboxes (radio button behavior)
@@ -1631,37 +8026,107 @@ function createVisualization(data, jsonFile) {
                 filterImportantBridge.checked = false;
                 filterAnyBridge.checked = false;
             }
-        });
+        }, listenerOptions);
         
         filterImportantBridge.addEventListener('change', () => {
             if (filterImportantBridge.checked) {
                 filterAllNodes.checked = false;
                 filterAnyBridge.checked = false;
             }
-        });
+        }, listenerOptions);
         
         filterAnyBridge.addEventListener('change', () => {
             if (filterAnyBridge.checked) {
                 filterAllNodes.checked = false;
                 filterImportantBridge.checked = false;
             }
-        });
+        }, listenerOptions);
     }
     
     // Channel bridge filter checkboxes (radio button behavior)
     const filterAllChannels = document.getElementById('filter-all-channels');
+    const filterImportantBridgeChannels = document.getElementById('filter-important-bridge-channels');
     const filterBridgeChannels = document.getElementById('filter-bridge-channels');
     
-    if (filterAllChannels && filterBridgeChannels) {
+    if (filterAllChannels && filterImportantBridgeChannels && filterBridgeChannels) {
         filterAllChannels.addEventListener('change', () => {
             if (filterAllChannels.checked) {
+                filterImportantBridgeChannels.checked = false;
                 filterBridgeChannels.checked = false;
             }
-        });
+        }, listenerOptions);
+        
+        filterImportantBridgeChannels.addEventListener('change', () => {
+            if (filterImportantBridgeChannels.checked) {
+                filterAllChannels.checked = false;
+                filterBridgeChannels.checked = false;
+            }
+        }, listenerOptions);
         
         filterBridgeChannels.addEventListener('change', () => {
             if (filterBridgeChannels.checked) {
                 filterAllChannels.checked = false;
+                filterImportantBridgeChannels.checked = false;
+            }
+        }, listenerOptions);
+    }
+    
+    // Channel type, capacity range and display options
+    const filterInterClusterChannels = document.getElementById('filter-inter-cluster-channels');
+    const filterMultiChannels = document.getElementById('filter-multi-channels');
+    const channelCapacityMinInput = document.getElementById('channel-capacity-min');
+    const channelCapacityMaxInput = document.getElementById('channel-capacity-max');
+    const filterHideIsolated = document.getElementById('filter-hide-isolated');
+    
+    /**
+     * Reads a BTC amount from a number input and converts it to satoshis
+     * @param {HTMLInputElement} input - Number input holding a BTC value
+     * @returns {number|null} Amount in satoshis, or null when empty/invalid
+     */
+    function readCapacityInput(input) {
+        if (!input || input.value === '') return null;
+        const btc = parseFloat(input.value);
+        if (isNaN(btc) || btc < 0) return null;
+        return Math.round(btc * CAPACITY_THRESHOLDS.BTC);
+    }
+    
+    // Expression filter input
+    const expressionInput = document.getElementById('filter-expression');
+    const expressionError = document.getElementById('filter-expression-error');
+    const expressionSuggestions = document.getElementById('filter-expression-suggestions');
+    
+    /**
+     * Compiles the expression input, showing syntax errors below it
+     * @returns {Object|null|false} Compiled expression, null when empty, false on error
+     */
+    function readExpressionInput() {
+        const source = expressionInput ? expressionInput.value.trim() : '';
+        expressionError.textContent = '';
+        expressionError.style.display = 'none';
+        if (!source) return null;
+        
+        try {
+            return compileFilterExpression(source);
+        } catch (error) {
+            if (error.name !== 'FilterSyntaxError') throw error;
+            const caretPosition = Math.min(error.position, source.length);
+            expressionError.textContent = `${error.message}\n${source}\n${' '.repeat(caretPosition)}^`;
+            expressionError.style.display = 'block';
+            return false;
+        }
+    }
+    
+    if (expressionInput && expressionSuggestions && !expressionAutocomplete) {
+        expressionAutocomplete = createExpressionAutocomplete(
+            expressionInput, expressionSuggestions, () => expressionFieldNames
+        );
+        
+        // Validate while typing, apply on Enter (the autocomplete consumes Enter while open)
+        expressionInput.addEventListener('input', () => readExpressionInput());
+        expressionInput.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') {
+                e.preventDefault();
+                document.getElementById('apply-filters').click();
             }
         });
     }
@@ -1670,37 +8135,69 @@ function createVisualization(data, jsonFile) {
     const applyFiltersBtn = document.getElementById('apply-filters');
     if (applyFiltersBtn) {
         applyFiltersBtn.addEventListener('click', () => {
-            // Update filter state from UI
+            // Expression filter first: keep the previous filters if it does not compile
+            const expression = readExpressionInput();
+            if (expression === false) return;
+            
+            // Build the new state from the UI; filterState is only replaced once it is complete
             const plebRankValue = parseInt(plebRankSlider.value);
-            filterState.plebRankMax = plebRankValue >= 10000 ? null : plebRankValue;
+            const nextState = {
+                plebRankMax: plebRankValue >= 10000 ? null : plebRankValue,
+                expression: expression
+            };
             
             // Bridge node filter
             if (filterImportantBridge.checked) {
-                filterState.bridgeFilter = 'important';
+                nextState.bridgeFilter = 'important';
             } else if (filterAnyBridge.checked) {
-                filterState.bridgeFilter = 'any';
+                nextState.bridgeFilter = 'any';
             } else {
-                filterState.bridgeFilter = 'all';
+                nextState.bridgeFilter = 'all';
             }
             
             // Channel bridge filter
-            if (filterBridgeChannels.checked) {
-                filterState.channelBridgeFilter = 'bridge_only';
+            if (filterImportantBridgeChannels.checked) {
+                nextState.channelBridgeFilter = 'important_only';
+            } else if (filterBridgeChannels.checked) {
+                nextState.channelBridgeFilter = 'bridge_only';
             } else {
-                filterState.channelBridgeFilter = 'all';
+                nextState.channelBridgeFilter = 'all';
+            }
+            
+            // Channel type filters
+            nextState.interClusterOnly = filterInterClusterChannels.checked;
+            nextState.multiChannelOnly = filterMultiChannels.checked;
+            
+            // Channel capacity range (swap bounds if entered in reverse order)
+            let capacityMin = readCapacityInput(channelCapacityMinInput);
+            let capacityMax = readCapacityInput(channelCapacityMaxInput);
+            if (capacityMin !== null && capacityMax !== null && capacityMin > capacityMax) {
+                [capacityMin, capacityMax] = [capacityMax, capacityMin];
             }
+            nextState.channelCapacityMin = capacityMin;
+            nextState.channelCapacityMax = capacityMax;
+            
+            // Display options
+            nextState.hideIsolatedNodes = filterHideIsolated.checked;
             
             // Check if any filters are active
-            filterState.isActive = 
-                filterState.plebRankMax !== null ||
-                filterState.bridgeFilter !== 'all' ||
-                filterState.channelBridgeFilter !== 'all';
+            nextState.isActive = 
+                nextState.plebRankMax !== null ||
+                nextState.bridgeFilter !== 'all' ||
+                nextState.channelBridgeFilter !== 'all' ||
+                nextState.interClusterOnly ||
+                nextState.multiChannelOnly ||
+                nextState.channelCapacityMin !== null ||
+                nextState.channelCapacityMax !== null ||
+                nextState.hideIsolatedNodes ||
+                nextState.expression !== null;
+            Object.assign(filterState, nextState);
             
             // Apply filters
             applyFilters();
             
             console.log('✅ Filters applied:', filterState);
-        });
+        }, listenerOptions);
     }
     
     // Clear Filters button
@@ -1711,6 +8208,12 @@ function createVisualization(data, jsonFile) {
             filterState.plebRankMax = null;
             filterState.bridgeFilter = 'all';
             filterState.channelBridgeFilter = 'all';
+            filterState.interClusterOnly = false;
+            filterState.multiChannelOnly = false;
+            filterState.channelCapacityMin = null;
+            filterState.channelCapacityMax = null;
+            filterState.hideIsolatedNodes = false;
+            filterState.expression = null;
             filterState.isActive = false;
             
             // Reset UI
@@ -1722,23 +8225,23 @@ function createVisualization(data, jsonFile) {
             filterAnyBridge.checked = false;
             
             filterAllChannels.checked = true;
+            filterImportantBridgeChannels.checked = false;
             filterBridgeChannels.checked = false;
             
-            // Show all nodes and edges
-            graph.forEachNode(nodeId => {
-                graph.setNodeAttribute(nodeId, 'hidden', false);
-            });
-            graph.forEachEdge(edgeId => {
-                graph.setEdgeAttribute(edgeId, 'hidden', false);
-            });
+            filterInterClusterChannels.checked = false;
+            filterMultiChannels.checked = false;
+            channelCapacityMinInput.value = '';
+            channelCapacityMaxInput.value = '';
+            filterHideIsolated.checked = false;
             
-            updateFilterUI();
-            renderer.refresh();
+            expressionInput.value = '';
+            expressionError.textContent = '';
+            expressionError.style.display = 'none';
             
-            // Update network summary after clearing filters
-            updateNetworkSummary();
+            // Drop the filter layer; search and selection remain
+            applyFilters();
             
             console.log('✅ Filters cleared');
-        });
+        }, listenerOptions);
     }
-}
\ No newline at end of file
+}